@@ -3,6 +3,48 @@ const { getAuthenticatedAxios, getAuthData, ensureAuth } = require('../entry/mid
 const { buildImageUrl, formatDuration, formatBitrate, formatBytes, parseIntParam } = require('../utils/helpers');
 const router = express.Router();
 
+const EPISODE_FIELDS = 'PrimaryImageAspectRatio,Overview,UserData,PremiereDate,RunTimeTicks,SpecialEpisodeNumbers';
+
+/**
+ * Map a Jellyfin episode with its watched state and resume position
+ */
+function mapEpisode(item) {
+  const isSpecial = item.ParentIndexNumber === 0;
+  const episode = {
+    id: item.Id,
+    name: item.Name,
+    seriesId: item.SeriesId,
+    seasonId: item.SeasonId,
+    seasonNumber: item.ParentIndexNumber,
+    episodeNumber: item.IndexNumber,
+    episodeNumberEnd: item.IndexNumberEnd,
+    overview: item.Overview || '',
+    airDate: item.PremiereDate,
+    duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
+    durationFormatted: formatDuration(item.RunTimeTicks),
+    thumbnail: buildImageUrl(item, 'Primary', 300),
+    seriesThumbnail: item.SeriesPrimaryImageTag
+      ? `${process.env.JELLYFIN_SERVER}/Items/${item.SeriesId}/Images/Primary?height=300&tag=${item.SeriesPrimaryImageTag}`
+      : null,
+    isWatched: item.UserData?.Played || false,
+    playCount: item.UserData?.PlayCount || 0,
+    playbackPosition: item.UserData?.PlaybackPositionTicks
+      ? Math.round(item.UserData.PlaybackPositionTicks / 10000000)
+      : 0,
+    playbackPercent: item.UserData?.PlayedPercentage || 0,
+    isSpecial
+  };
+
+  // Where a special belongs in the regular viewing order
+  if (isSpecial) {
+    episode.airsBeforeSeasonNumber = item.AirsBeforeSeasonNumber;
+    episode.airsAfterSeasonNumber = item.AirsAfterSeasonNumber;
+    episode.airsBeforeEpisodeNumber = item.AirsBeforeEpisodeNumber;
+  }
+
+  return episode;
+}
+
 /**
  * Get movies with pagination and filtering
  * GET /api/movies
@@ -25,8 +67,8 @@ router.get('/', ensureAuth, async (req, res) => {
     const limitNum = parseIntParam(limit, 20, 1, 100);
     const startIndex = (pageNum - 1) * limitNum;
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const params = {
       IncludeItemTypes: 'Movie',
@@ -139,8 +181,8 @@ router.get('/series', ensureAuth, async (req, res) => {
     const limitNum = parseIntParam(limit, 20, 1, 100);
     const startIndex = (pageNum - 1) * limitNum;
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const params = {
       IncludeItemTypes: 'Series',
@@ -212,6 +254,171 @@ router.get('/series', ensureAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get the seasons of a series, including the specials season
+ * GET /api/movies/series/:seriesId/seasons
+ */
+router.get('/series/:seriesId/seasons', ensureAuth, async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const response = await axios.get(`/Shows/${seriesId}/Seasons`, {
+      params: {
+        UserId: auth.userId,
+        Fields: 'ItemCounts,PrimaryImageAspectRatio,UserData,PremiereDate'
+      }
+    });
+
+    const seasons = response.data.Items.map(season => ({
+      id: season.Id,
+      name: season.Name,
+      seasonNumber: season.IndexNumber,
+      episodeCount: season.ChildCount || 0,
+      unwatchedCount: season.UserData?.UnplayedItemCount || 0,
+      isWatched: season.UserData?.Played || false,
+      premiereDate: season.PremiereDate,
+      year: season.ProductionYear,
+      thumbnail: buildImageUrl(season, 'Primary', 300),
+      isSpecials: season.IndexNumber === 0
+    }));
+
+    res.json({
+      seriesId,
+      seasons,
+      totalCount: seasons.length,
+      hasSpecials: seasons.some(season => season.isSpecials)
+    });
+
+  } catch (error) {
+    console.error('Series seasons error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Series not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get seasons',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Get the episodes of one season
+ * GET /api/movies/series/:seriesId/seasons/:seasonId/episodes
+ */
+router.get('/series/:seriesId/seasons/:seasonId/episodes', ensureAuth, async (req, res) => {
+  try {
+    const { seriesId, seasonId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseIntParam(page, 1, 1, 1000);
+    const limitNum = parseIntParam(limit, 50, 1, 100);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const response = await axios.get(`/Shows/${seriesId}/Episodes`, {
+      params: {
+        UserId: auth.userId,
+        SeasonId: seasonId,
+        Fields: EPISODE_FIELDS,
+        StartIndex: (pageNum - 1) * limitNum,
+        Limit: limitNum
+      }
+    });
+
+    const episodes = response.data.Items.map(mapEpisode);
+    const totalPages = Math.ceil(response.data.TotalRecordCount / limitNum);
+
+    res.json({
+      seriesId,
+      seasonId,
+      episodes,
+      watchedCount: episodes.filter(episode => episode.isWatched).length,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount: response.data.TotalRecordCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Season episodes error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Season not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get episodes',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Get the specials (season 0) of a series with their place in the viewing order
+ * GET /api/movies/series/:seriesId/specials
+ */
+router.get('/series/:seriesId/specials', ensureAuth, async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseIntParam(page, 1, 1, 1000);
+    const limitNum = parseIntParam(limit, 50, 1, 100);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const response = await axios.get(`/Shows/${seriesId}/Episodes`, {
+      params: {
+        UserId: auth.userId,
+        Season: 0,
+        Fields: EPISODE_FIELDS,
+        StartIndex: (pageNum - 1) * limitNum,
+        Limit: limitNum
+      }
+    });
+
+    // Jellyfin can mix specials into other seasons' lists; keep only season 0
+    const episodes = response.data.Items
+      .filter(item => item.ParentIndexNumber === 0)
+      .map(mapEpisode);
+    const totalPages = Math.ceil(response.data.TotalRecordCount / limitNum);
+
+    res.json({
+      seriesId,
+      episodes,
+      watchedCount: episodes.filter(episode => episode.isWatched).length,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount: response.data.TotalRecordCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Series specials error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Series not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get specials',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
 /**
  * Get recently added movies
  * GET /api/movies/recent
@@ -221,8 +428,8 @@ router.get('/recent', ensureAuth, async (req, res) => {
     const { limit = 20, type = 'Movie' } = req.query;
     const limitNum = parseIntParam(limit, 20, 1, 100);
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const response = await axios.get(`/Users/${auth.userId}/Items/Latest`, {
       params: {
@@ -0,0 +1,339 @@
+const express = require('express');
+const { getAuthenticatedAxios, getAuthData, ensureAuth } = require('../entry/middleware/auth');
+const {
+  buildImageUrl,
+  buildBridgeUrl,
+  buildPagination,
+  formatDuration,
+  parseIntParam
+} = require('../utils/helpers');
+const router = express.Router();
+
+const TRACK_FIELDS = 'PrimaryImageAspectRatio,RunTimeTicks,UserData,Genres,ProductionYear';
+const ALBUM_FIELDS = 'PrimaryImageAspectRatio,ProductionYear,Genres,RunTimeTicks,ChildCount,UserData';
+const ARTIST_FIELDS = 'PrimaryImageAspectRatio,Overview,Genres,ChildCount';
+
+/**
+ * Map a Jellyfin music artist
+ */
+function mapArtist(item) {
+  return {
+    id: item.Id,
+    name: item.Name,
+    sortName: item.SortName,
+    overview: item.Overview || '',
+    genres: item.Genres || [],
+    albumCount: item.AlbumCount ?? item.ChildCount ?? 0,
+    thumbnail: buildImageUrl(item, 'Primary', 300),
+    backdrop: buildImageUrl(item, 'Backdrop', 1080),
+    isFavorite: item.UserData?.IsFavorite || false
+  };
+}
+
+/**
+ * Map a Jellyfin music album
+ */
+function mapAlbum(item) {
+  return {
+    id: item.Id,
+    name: item.Name,
+    sortName: item.SortName,
+    year: item.ProductionYear,
+    albumArtist: item.AlbumArtist,
+    albumArtistId: item.AlbumArtists?.[0]?.Id,
+    artists: item.Artists || [],
+    genres: item.Genres || [],
+    trackCount: item.ChildCount || 0,
+    duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
+    durationFormatted: formatDuration(item.RunTimeTicks),
+    thumbnail: buildImageUrl(item, 'Primary', 300),
+    isFavorite: item.UserData?.IsFavorite || false,
+    dateAdded: item.DateCreated
+  };
+}
+
+/**
+ * Map a Jellyfin audio track, with a link to its audio stream metadata
+ */
+function mapTrack(item, req) {
+  return {
+    id: item.Id,
+    name: item.Name,
+    trackNumber: item.IndexNumber,
+    discNumber: item.ParentIndexNumber || 1,
+    duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
+    durationFormatted: formatDuration(item.RunTimeTicks),
+    album: item.Album,
+    albumId: item.AlbumId,
+    albumArtist: item.AlbumArtist,
+    artists: item.Artists || [],
+    year: item.ProductionYear,
+    thumbnail: buildImageUrl(item, 'Primary', 300),
+    isFavorite: item.UserData?.IsFavorite || false,
+    playCount: item.UserData?.PlayCount || 0,
+    audioUrl: buildBridgeUrl(req, `/api/stream/${item.Id}/audio`)
+  };
+}
+
+/**
+ * Get music artists with pagination
+ * GET /api/music/artists
+ */
+router.get('/artists', ensureAuth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      sortBy = 'SortName',
+      sortOrder = 'Ascending',
+      libraryId,
+      albumArtistsOnly = 'true'
+    } = req.query;
+
+    const pageNum = parseIntParam(page, 1, 1, 1000);
+    const limitNum = parseIntParam(limit, 50, 1, 100);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const params = {
+      UserId: auth.userId,
+      StartIndex: (pageNum - 1) * limitNum,
+      Limit: limitNum,
+      SortBy: sortBy,
+      SortOrder: sortOrder,
+      Fields: ARTIST_FIELDS,
+      EnableTotalRecordCount: true
+    };
+    if (search) params.SearchTerm = search;
+    if (libraryId) params.ParentId = libraryId;
+
+    // Album artists skip every guest and featured artist credited on a single track
+    const endpoint = albumArtistsOnly === 'false' ? '/Artists' : '/Artists/AlbumArtists';
+    const response = await axios.get(endpoint, { params });
+
+    res.json({
+      artists: response.data.Items.map(mapArtist),
+      pagination: buildPagination(pageNum, limitNum, response.data.TotalRecordCount),
+      filters: {
+        search: search || null,
+        sortBy,
+        sortOrder,
+        libraryId: libraryId || null,
+        albumArtistsOnly: albumArtistsOnly !== 'false'
+      }
+    });
+
+  } catch (error) {
+    console.error('Music artists error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get artists',
+      details: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get an artist's albums
+ * GET /api/music/artists/:artistId/albums
+ */
+router.get('/artists/:artistId/albums', ensureAuth, async (req, res) => {
+  try {
+    const { artistId } = req.params;
+    const { page = 1, limit = 50, sortBy = 'ProductionYear,SortName', sortOrder = 'Descending' } = req.query;
+
+    const pageNum = parseIntParam(page, 1, 1, 1000);
+    const limitNum = parseIntParam(limit, 50, 1, 100);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const [artistResponse, albumsResponse] = await Promise.all([
+      axios.get(`/Users/${auth.userId}/Items/${artistId}`),
+      axios.get(`/Users/${auth.userId}/Items`, {
+        params: {
+          IncludeItemTypes: 'MusicAlbum',
+          Recursive: true,
+          AlbumArtistIds: artistId,
+          Fields: ALBUM_FIELDS,
+          SortBy: sortBy,
+          SortOrder: sortOrder,
+          StartIndex: (pageNum - 1) * limitNum,
+          Limit: limitNum
+        }
+      })
+    ]);
+
+    res.json({
+      artist: mapArtist(artistResponse.data),
+      albums: albumsResponse.data.Items.map(mapAlbum),
+      pagination: buildPagination(pageNum, limitNum, albumsResponse.data.TotalRecordCount)
+    });
+
+  } catch (error) {
+    console.error('Artist albums error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Artist not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get artist albums',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Get music albums with pagination
+ * GET /api/music/albums
+ */
+router.get('/albums', ensureAuth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      sortBy = 'SortName',
+      sortOrder = 'Ascending',
+      libraryId,
+      genres,
+      years
+    } = req.query;
+
+    const pageNum = parseIntParam(page, 1, 1, 1000);
+    const limitNum = parseIntParam(limit, 50, 1, 100);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const params = {
+      IncludeItemTypes: 'MusicAlbum',
+      Recursive: true,
+      Fields: ALBUM_FIELDS,
+      SortBy: sortBy,
+      SortOrder: sortOrder,
+      StartIndex: (pageNum - 1) * limitNum,
+      Limit: limitNum
+    };
+    if (search) params.SearchTerm = search;
+    if (libraryId) params.ParentId = libraryId;
+    if (genres) params.Genres = genres;
+    if (years) params.Years = years;
+
+    const response = await axios.get(`/Users/${auth.userId}/Items`, { params });
+
+    res.json({
+      albums: response.data.Items.map(mapAlbum),
+      pagination: buildPagination(pageNum, limitNum, response.data.TotalRecordCount),
+      filters: {
+        search: search || null,
+        sortBy,
+        sortOrder,
+        libraryId: libraryId || null,
+        genres: genres || null,
+        years: years || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Music albums error:', error.message);
+    res.status(500).json({
+      error: 'Failed to get albums',
+      details: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get an album's tracks in disc and track order
+ * GET /api/music/albums/:albumId/tracks
+ */
+router.get('/albums/:albumId/tracks', ensureAuth, async (req, res) => {
+  try {
+    const { albumId } = req.params;
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const [albumResponse, tracksResponse] = await Promise.all([
+      axios.get(`/Users/${auth.userId}/Items/${albumId}`),
+      axios.get(`/Users/${auth.userId}/Items`, {
+        params: {
+          ParentId: albumId,
+          IncludeItemTypes: 'Audio',
+          Recursive: true,
+          Fields: TRACK_FIELDS,
+          SortBy: 'ParentIndexNumber,IndexNumber,SortName',
+          SortOrder: 'Ascending'
+        }
+      })
+    ]);
+
+    const tracks = tracksResponse.data.Items.map(item => mapTrack(item, req));
+    const discCount = new Set(tracks.map(track => track.discNumber)).size;
+
+    res.json({
+      album: mapAlbum(albumResponse.data),
+      tracks,
+      trackCount: tracks.length,
+      discCount,
+      totalDuration: tracks.reduce((sum, track) => sum + track.duration, 0)
+    });
+
+  } catch (error) {
+    console.error('Album tracks error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Album not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get album tracks',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Build an instant mix from a track, album, artist, playlist or genre
+ * GET /api/music/instantmix/:itemId
+ */
+router.get('/instantmix/:itemId', ensureAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const limitNum = parseIntParam(req.query.limit, 50, 1, 200);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const response = await axios.get(`/Items/${itemId}/InstantMix`, {
+      params: {
+        UserId: auth.userId,
+        Limit: limitNum,
+        Fields: TRACK_FIELDS
+      }
+    });
+
+    const tracks = response.data.Items.map(item => mapTrack(item, req));
+
+    res.json({
+      seedId: itemId,
+      tracks,
+      totalCount: tracks.length,
+      totalDuration: tracks.reduce((sum, track) => sum + track.duration, 0)
+    });
+
+  } catch (error) {
+    console.error('Instant mix error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Item not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to build instant mix',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -31,8 +31,8 @@ router.get('/', ensureAuth, async (req, res) => {
     }
 
     const limitNum = parseIntParam(limit, 20, 1, 100);
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const params = {
       SearchTerm: q.trim(),
@@ -111,8 +111,8 @@ router.get('/suggestions', ensureAuth, async (req, res) => {
     }
 
     const limitNum = parseIntParam(limit, 10, 1, 20);
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const response = await axios.get(`/Users/${auth.userId}/Items`, {
       params: {
@@ -152,8 +152,8 @@ router.get('/genre/:genreName', ensureAuth, async (req, res) => {
     const { limit = 50, type = 'Movie,Series' } = req.query;
     const limitNum = parseIntParam(limit, 50, 1, 100);
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const response = await axios.get(`/Users/${auth.userId}/Items`, {
       params: {
@@ -200,8 +200,8 @@ router.get('/genre/:genreName', ensureAuth, async (req, res) => {
  */
 router.get('/genres', ensureAuth, async (req, res) => {
   try {
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const response = await axios.get('/Genres', {
       params: {
@@ -0,0 +1,186 @@
+const { verifyStreamToken } = require('./streamTokens');
+const { hashKey, getApiKey, findAccount } = require('../../utils/userRegistry');
+
+// browse: libraries, items, search and events; stream: playback; admin: /admin and the admin panel
+const SCOPES = ['browse', 'stream', 'admin'];
+// Keys listed without scopes, and the keys of registered or paired users
+const DEFAULT_SCOPES = ['browse', 'stream'];
+
+// Stream router paths that only proxy media for a token's item. The metadata, trickplay listing
+// and playback report routes issue tokens or change sessions, so they always need a key.
+const TOKEN_PROXY_PATHS = [
+  /^\/[^/]+\/segments\/.+$/,
+  /^\/[^/]+\/subtitles\/[^/]+\/(stream\.[^/]+|cues)$/,
+  /^\/[^/]+\/trickplay\/[^/]+\/[^/]+\.jpg$/
+];
+
+const keyStats = {
+  accepted: 0,
+  rejected: 0,
+  forbidden: 0
+};
+
+/**
+ * Parse BRIDGE_API_KEYS ("resonite-key,panel-key=admin,kiosk-key=browse+stream") into key hash -> scopes
+ */
+function parseApiKeys(value) {
+  const keys = new Map();
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.lastIndexOf('=');
+    const key = (separator === -1 ? entry : entry.substring(0, separator)).trim();
+    if (!key) continue;
+
+    let scopes = DEFAULT_SCOPES;
+    if (separator !== -1) {
+      const requested = entry.substring(separator + 1).split('+').map(scope => scope.trim());
+      scopes = requested.includes('*') ? SCOPES : requested.filter(scope => SCOPES.includes(scope));
+      const unknown = requested.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        console.warn(`Ignoring unknown API key scope(s): ${unknown.join(', ')}`);
+      }
+    }
+    keys.set(hashKey(key), scopes);
+  }
+  return keys;
+}
+
+const apiKeys = parseApiKeys(process.env.BRIDGE_API_KEYS);
+
+/**
+ * Keys are only required once BRIDGE_API_KEYS lists at least one
+ */
+function isProtected() {
+  return apiKeys.size > 0;
+}
+
+/**
+ * Scopes of an API key: configured bridge keys first, then keys that select a user account
+ * @returns {Array|null} Scopes, or null for an unknown key
+ */
+function getKeyScopes(key) {
+  const keyHash = hashKey(key);
+  if (apiKeys.has(keyHash)) {
+    return apiKeys.get(keyHash);
+  }
+  const account = findAccount(`key:${keyHash}`);
+  return account ? account.scopes || DEFAULT_SCOPES : null;
+}
+
+/**
+ * Check an API key against a scope
+ * @param {string|null} key - Key from the request
+ * @param {string} scope - Required scope
+ * @returns {Object|null} Null when allowed, otherwise { status, error, details }
+ */
+function checkApiKey(key, scope) {
+  if (!isProtected()) {
+    return null;
+  }
+  if (!key) {
+    keyStats.rejected++;
+    return {
+      status: 401,
+      error: 'API key required',
+      details: 'Send a key in the X-API-Key header or the apiKey query parameter'
+    };
+  }
+
+  const scopes = getKeyScopes(key);
+  if (!scopes) {
+    keyStats.rejected++;
+    return { status: 401, error: 'Invalid API key', details: 'The key is not registered with this bridge' };
+  }
+  if (!scopes.includes(scope)) {
+    keyStats.forbidden++;
+    return { status: 403, error: 'Insufficient scope', details: `This key lacks the "${scope}" scope` };
+  }
+
+  keyStats.accepted++;
+  return null;
+}
+
+/**
+ * Check whether a stream router request only proxies media (format=direct|hls, segments,
+ * subtitle streams, trickplay sheets)
+ */
+function isTokenProxyRequest(req) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+  if (/^\/[^/]+(\/audio)?$/.test(req.path)) {
+    return req.query.format === 'direct' || req.query.format === 'hls';
+  }
+  return TOKEN_PROXY_PATHS.some(pattern => pattern.test(req.path));
+}
+
+/**
+ * A stream token stands in for the stream scope on proxy requests for the item it was issued
+ * for, so the URLs handed to video players work without a key
+ */
+function hasItemStreamToken(req) {
+  if (!req.query.token || !isTokenProxyRequest(req)) {
+    return false;
+  }
+  try {
+    const { itemId } = verifyStreamToken(req.query.token);
+    return req.path.split('/')[1] === itemId;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Middleware that requires an API key with the given scope
+ * @param {string} scope - browse, stream or admin
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (scope === 'stream' && isProtected() && hasItemStreamToken(req)) {
+      return next();
+    }
+
+    const denied = checkApiKey(getApiKey(req), scope);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, details: denied.details });
+    }
+    next();
+  };
+}
+
+/**
+ * Check a WebSocket upgrade request, which bypasses Express middleware
+ * @param {Object} req - Node HTTP upgrade request
+ * @param {string} scope - Required scope
+ * @returns {Object|null} Null when allowed, otherwise { status, error, details }
+ */
+function checkUpgrade(req, scope) {
+  return checkApiKey(getApiKey(req), scope);
+}
+
+/**
+ * Check whether a key carries a scope; always false while no bridge keys are configured
+ * @param {string|null} key - Key from the request
+ * @param {string} scope - Scope to look for
+ * @returns {boolean} True if the key grants the scope
+ */
+function hasScope(key, scope) {
+  return isProtected() && !!key && !!getKeyScopes(key)?.includes(scope);
+}
+
+/**
+ * Get API key counters for the admin panel
+ */
+function getApiKeyStats() {
+  return {
+    ...keyStats,
+    protected: isProtected(),
+    configuredKeys: apiKeys.size
+  };
+}
+
+module.exports = {
+  requireScope,
+  checkUpgrade,
+  hasScope,
+  getApiKeyStats
+};
@@ -1,29 +1,51 @@
 const axios = require('axios');
 const http = require('http');
 const https = require('https');
+const { DEFAULT_ACCOUNT, resolveAccount, listAccounts, removeAccount } = require('../../utils/userRegistry');
 
 // Connection pooling agents for better performance
 const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 10 });
 const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 10 });
 
-// Global auth state
-let authData = {
-  token: null,
-  userId: null,
-  serverId: null,
-  lastAuth: null
-};
-
-// Promise-based auth queue (replaces busy-wait)
-let authPromise = null;
+// Auth state per registry account: { authData, authPromise, axiosInstance, unauthorizedCount }
+const accountStates = new Map();
 
-// Singleton axios instance for all requests
-let axiosInstance = null;
+// 401s from Jellyfin on authenticated requests and how many were recovered by signing in again
+const authFailureStats = {
+  unauthorized: 0,
+  recovered: 0,
+  failed: 0,
+  lastFailure: null
+};
 
 const JELLYFIN_SERVER = process.env.JELLYFIN_SERVER;
-const USERNAME = process.env.JELLYFIN_USERNAME;
-const PASSWORD = process.env.JELLYFIN_PASSWORD;
 const AUTH_CACHE_DURATION = (parseInt(process.env.AUTH_CACHE_DURATION) || 3600) * 1000;
+const DEVICE_ID = 'resonite-api-server';
+
+/**
+ * Get (or create) the cached auth state of an account
+ */
+function getAccountState(account) {
+  let state = accountStates.get(account.name);
+  if (!state) {
+    state = {
+      account,
+      authData: {
+        token: null,
+        userId: null,
+        userName: null,
+        serverId: null,
+        lastAuth: null
+      },
+      // Promise-based auth queue (replaces busy-wait)
+      authPromise: null,
+      axiosInstance: null,
+      unauthorizedCount: 0
+    };
+    accountStates.set(account.name, state);
+  }
+  return state;
+}
 
 /**
  * Initialize authentication on server startup
@@ -33,123 +55,408 @@ async function initializeAuth() {
   try {
     await authenticate();
     console.log('Authentication successful');
-
-    // Set up periodic re-authentication
-    setInterval(async () => {
-      if (shouldReauthenticate()) {
-        console.log('Refreshing authentication...');
-        try {
-          await authenticate();
-        } catch (err) {
-          console.error('Auth refresh failed:', err.message);
-        }
-      }
-    }, 300000);
-
   } catch (error) {
     console.error('Initial authentication failed:', error.message);
     console.error('Server will continue but API calls may fail');
   }
+
+  // Set up periodic re-authentication for every account that has been used
+  // (API key accounts never expire and are skipped by shouldReauthenticate)
+  setInterval(async () => {
+    for (const state of accountStates.values()) {
+      if (!shouldReauthenticate(state)) continue;
+      console.log(`Refreshing authentication for ${state.account.name}...`);
+      try {
+        await authenticateAccount(state);
+      } catch (err) {
+        console.error(`Auth refresh failed for ${state.account.name}:`, err.message);
+      }
+    }
+  }, 300000);
+}
+
+/**
+ * Request options for calls made before a token exists, identifying the bridge as a device
+ */
+function buildClientOptions(deviceId) {
+  return {
+    headers: {
+      'X-Emby-Authorization': `MediaBrowser Client="ResoniteAPI", Device="Server", DeviceId="${deviceId}", Version="1.0.0"`
+    },
+    timeout: 10000,
+    httpAgent,
+    httpsAgent
+  };
+}
+
+/**
+ * Turn a failed Jellyfin sign-in request into a readable error
+ */
+function describeAuthError(error) {
+  if (error.response) {
+    return new Error(`Authentication failed: ${error.response.status} - ${error.response.data?.message || 'Invalid credentials'}`);
+  } else if (error.code === 'ECONNREFUSED') {
+    return new Error(`Cannot connect to Jellyfin server at ${JELLYFIN_SERVER}`);
+  }
+  return new Error(`Authentication error: ${error.message}`);
+}
+
+/**
+ * Look up the user an API key account acts as, by user ID or else by user name
+ * @returns {Object} { token, userId, userName, serverId }
+ */
+async function resolveApiKeyUser(account, options) {
+  const requestOptions = {
+    ...options,
+    headers: { ...options.headers, 'X-Emby-Token': account.apiKey }
+  };
+
+  let user;
+  if (account.userId) {
+    const response = await axios.get(`${JELLYFIN_SERVER}/Users/${account.userId}`, requestOptions);
+    user = response.data;
+  } else if (account.username) {
+    // API keys have no user of their own, so /Users/Me is not available
+    const response = await axios.get(`${JELLYFIN_SERVER}/Users`, requestOptions);
+    const wanted = account.username.toLowerCase();
+    user = response.data.find(candidate => candidate.Name?.toLowerCase() === wanted);
+    if (!user) {
+      throw new Error(`Jellyfin user "${account.username}" not found`);
+    }
+  } else {
+    throw new Error('JELLYFIN_API_KEY needs JELLYFIN_USER_ID or JELLYFIN_USERNAME to pick a user');
+  }
+
+  return {
+    token: account.apiKey,
+    userId: user.Id,
+    userName: user.Name,
+    serverId: user.ServerId
+  };
+}
+
+/**
+ * Sign in with the account's username and password, or check its stored token or API key
+ * @returns {Object} { token, userId, userName, serverId }
+ */
+async function requestSession(account) {
+  // Each account gets its own device, so signing one in does not end another's Jellyfin session
+  const deviceId = account.name === DEFAULT_ACCOUNT ? DEVICE_ID : `${DEVICE_ID}-${account.name}`;
+  const options = buildClientOptions(deviceId);
+
+  if (account.apiKey) {
+    return resolveApiKeyUser(account, options);
+  }
+
+  if (account.token) {
+    const response = await axios.get(`${JELLYFIN_SERVER}/Users/Me`, {
+      ...options,
+      headers: { ...options.headers, 'X-Emby-Token': account.token }
+    });
+    return {
+      token: account.token,
+      userId: response.data.Id,
+      userName: response.data.Name,
+      serverId: response.data.ServerId
+    };
+  }
+
+  const response = await axios.post(`${JELLYFIN_SERVER}/Users/authenticatebyname`, {
+    Username: account.username,
+    Pw: account.password
+  }, options);
+  return {
+    token: response.data.AccessToken,
+    userId: response.data.User.Id,
+    userName: response.data.User.Name,
+    serverId: response.data.ServerId
+  };
 }
 
 /**
  * Perform authentication with Jellyfin server
+ * @param {Object|string} [source] - Express request or client ID; omitted means the default account
  */
-async function authenticate() {
+async function authenticate(source) {
+  return authenticateAccount(getAccountState(resolveAccount(source)));
+}
+
+/**
+ * Authenticate one account, sharing a single request between concurrent callers
+ */
+async function authenticateAccount(state) {
+  const { account } = state;
+
   // If auth is already in progress, wait for it
-  if (authPromise) {
-    return authPromise;
+  if (state.authPromise) {
+    return state.authPromise;
   }
 
-  authPromise = (async () => {
+  state.authPromise = (async () => {
     try {
-      const response = await axios.post(`${JELLYFIN_SERVER}/Users/authenticatebyname`, {
-        Username: USERNAME,
-        Pw: PASSWORD
-      }, {
-        headers: {
-          'X-Emby-Authorization': `MediaBrowser Client="ResoniteAPI", Device="Server", DeviceId="resonite-api-server", Version="1.0.0"`
-        },
-        timeout: 10000,
-        httpAgent,
-        httpsAgent
-      });
-
-      authData.token = response.data.AccessToken;
-      authData.userId = response.data.User.Id;
-      authData.serverId = response.data.ServerId;
-      authData.lastAuth = Date.now();
-
-      // Update singleton axios instance with new token
-      updateAxiosInstance();
-
-      console.log(`Authenticated as: ${response.data.User.Name}`);
-      return authData;
+      const session = await requestSession(account);
+
+      Object.assign(state.authData, session, { lastAuth: Date.now() });
+
+      // Update this account's axios instance with the new token
+      updateAxiosInstance(state);
+
+      console.log(`Authenticated as: ${session.userName}${account.name === DEFAULT_ACCOUNT ? '' : ` (user ${account.name})`}`);
+      return state.authData;
 
     } catch (error) {
-      if (error.response) {
-        throw new Error(`Authentication failed: ${error.response.status} - ${error.response.data?.message || 'Invalid credentials'}`);
-      } else if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Jellyfin server at ${JELLYFIN_SERVER}`);
-      } else {
-        throw new Error(`Authentication error: ${error.message}`);
-      }
+      throw describeAuthError(error);
     } finally {
-      authPromise = null;
+      state.authPromise = null;
     }
   })();
 
-  return authPromise;
+  return state.authPromise;
 }
 
 /**
- * Update the singleton axios instance with current auth token
+ * Update an account's axios instance with its current auth token. The instance is created once
+ * and only its token changes, so routes and sessions holding it pick up a new token at once.
  */
-function updateAxiosInstance() {
-  axiosInstance = axios.create({
+function updateAxiosInstance(state) {
+  if (state.axiosInstance) {
+    state.axiosInstance.defaults.headers['X-Emby-Token'] = state.authData.token;
+    return;
+  }
+
+  const instance = axios.create({
     baseURL: JELLYFIN_SERVER,
     headers: {
-      'X-Emby-Token': authData.token,
+      'X-Emby-Token': state.authData.token,
       'Content-Type': 'application/json'
     },
     timeout: 30000,
     httpAgent,
     httpsAgent
   });
+  instance.interceptors.response.use(null, error => recoverUnauthorized(state, error));
+  state.axiosInstance = instance;
+}
+
+/**
+ * Response interceptor: when Jellyfin rejects the token (revoked, or the server restarted),
+ * sign in again and replay the request once instead of failing until the next refresh
+ */
+async function recoverUnauthorized(state, error) {
+  const { config } = error;
+  if (error.response?.status !== 401 || !config || config.authRetried) {
+    throw error;
+  }
+
+  // Nobody reads a rejected stream body; free its socket before signing in and replaying
+  if (typeof error.response.data?.destroy === 'function') {
+    error.response.data.destroy();
+  }
+
+  state.unauthorizedCount++;
+  authFailureStats.unauthorized++;
+  authFailureStats.lastFailure = {
+    account: state.account.name,
+    url: config.url,
+    timestamp: new Date().toISOString()
+  };
+  console.warn(`Jellyfin rejected the token for ${state.account.name} (${config.method?.toUpperCase()} ${config.url}), re-authenticating`);
+
+  try {
+    // Concurrent 401s share one sign-in; skip it if another request already replaced the token
+    if (config.headers['X-Emby-Token'] === state.authData.token) {
+      await authenticateAccount(state);
+    }
+  } catch (authError) {
+    authFailureStats.failed++;
+    console.error(`Re-authentication failed for ${state.account.name}:`, authError.message);
+    throw error;
+  }
+
+  config.authRetried = true;
+  config.headers['X-Emby-Token'] = state.authData.token;
+  try {
+    const response = await state.axiosInstance.request(config);
+    authFailureStats.recovered++;
+    return response;
+  } catch (retryError) {
+    // Only a second 401 means recovery failed; other errors belong to the request itself
+    if (retryError.response?.status === 401) {
+      authFailureStats.failed++;
+    } else {
+      authFailureStats.recovered++;
+    }
+    throw retryError;
+  }
 }
 
 /**
  * Check if we need to re-authenticate
  */
-function shouldReauthenticate() {
-  return !authData.token ||
-         !authData.lastAuth ||
-         (Date.now() - authData.lastAuth) > AUTH_CACHE_DURATION;
+function shouldReauthenticate(state) {
+  // API keys do not expire; once the user is resolved there is nothing to refresh
+  if (state.account.apiKey && state.authData.token) {
+    return false;
+  }
+  return !state.authData.token ||
+         !state.authData.lastAuth ||
+         (Date.now() - state.authData.lastAuth) > AUTH_CACHE_DURATION;
 }
 
 /**
  * Get current authentication data, re-authenticate if needed
+ * @param {Object|string} [source] - Express request or client ID; omitted means the default account
  */
-async function getAuthData() {
-  if (shouldReauthenticate()) {
-    await authenticate();
+async function getAuthData(source) {
+  const state = getAccountState(resolveAccount(source));
+  if (shouldReauthenticate(state)) {
+    await authenticateAccount(state);
   }
 
-  if (!authData.token) {
+  if (!state.authData.token) {
     throw new Error('Authentication not available');
   }
 
-  return authData;
+  return state.authData;
 }
 
 /**
- * Get singleton authenticated axios instance
+ * Get the authenticated axios instance of the account a request acts as
+ * @param {Object|string} [source] - Express request or client ID; omitted means the default account
  */
-async function getAuthenticatedAxios() {
-  if (shouldReauthenticate() || !axiosInstance) {
-    await authenticate();
+async function getAuthenticatedAxios(source) {
+  const state = getAccountState(resolveAccount(source));
+  if (shouldReauthenticate(state) || !state.axiosInstance) {
+    await authenticateAccount(state);
+  }
+  return state.axiosInstance;
+}
+
+/**
+ * Start a Quick Connect request on the Jellyfin server
+ * @param {string} deviceId - Device the resulting token will belong to
+ * @returns {Object} { secret, code }
+ */
+async function initiateQuickConnect(deviceId) {
+  const options = buildClientOptions(deviceId);
+  let response;
+  try {
+    response = await axios.post(`${JELLYFIN_SERVER}/QuickConnect/Initiate`, null, options);
+  } catch (error) {
+    // Jellyfin 10.8 only accepts GET here
+    if (error.response?.status !== 404 && error.response?.status !== 405) throw error;
+    response = await axios.get(`${JELLYFIN_SERVER}/QuickConnect/Initiate`, options);
   }
-  return axiosInstance;
+  return { secret: response.data.Secret, code: response.data.Code };
+}
+
+/**
+ * Check whether a user approved a Quick Connect request
+ * @param {string} secret - Secret from initiateQuickConnect
+ * @returns {boolean} True once approved
+ */
+async function checkQuickConnect(secret) {
+  const response = await axios.get(`${JELLYFIN_SERVER}/QuickConnect/Connect`, {
+    params: { secret },
+    timeout: 10000,
+    httpAgent,
+    httpsAgent
+  });
+  return !!response.data.Authenticated;
+}
+
+/**
+ * Exchange an approved Quick Connect secret for an access token
+ * @param {string} secret - Secret from initiateQuickConnect
+ * @param {string} deviceId - Same device ID the request was started with
+ * @returns {Object} { token, userId, userName, serverId }
+ */
+async function authenticateWithQuickConnect(secret, deviceId) {
+  try {
+    const response = await axios.post(`${JELLYFIN_SERVER}/Users/AuthenticateWithQuickConnect`, {
+      Secret: secret
+    }, buildClientOptions(deviceId));
+    return {
+      token: response.data.AccessToken,
+      userId: response.data.User.Id,
+      userName: response.data.User.Name,
+      serverId: response.data.ServerId
+    };
+  } catch (error) {
+    throw describeAuthError(error);
+  }
+}
+
+/**
+ * End a paired account's Jellyfin session and forget it
+ * @param {Object} req - Express request of the paired client
+ * @returns {Object|null} Removed account, or null if the request is not from a paired client
+ */
+async function signOut(req) {
+  const account = resolveAccount(req);
+  if (!account.paired) {
+    return null;
+  }
+
+  // Resolve the session while the request still maps to this account
+  const axiosInstance = await getAuthenticatedAxios(req).catch(error => {
+    console.warn(`Jellyfin logout failed for ${account.name}:`, error.message);
+    return null;
+  });
+
+  // Unlink first: if that cannot be saved, the account and its Jellyfin session keep working
+  removeAccount(account.name);
+  accountStates.delete(account.name);
+
+  if (axiosInstance) {
+    try {
+      await axiosInstance.post('/Sessions/Logout');
+    } catch (error) {
+      console.warn(`Jellyfin logout failed for ${account.name}:`, error.message);
+    }
+  }
+  return account;
+}
+
+/**
+ * How an account authenticates: apikey, quickconnect, token or password
+ */
+function getAuthMethod(account) {
+  if (account.apiKey) return 'apikey';
+  if (account.paired) return 'quickconnect';
+  return account.token ? 'token' : 'password';
+}
+
+/**
+ * Auth mode of the bridge's default account, for /health and the admin panel
+ */
+function getAuthMode() {
+  return getAuthMethod(resolveAccount());
+}
+
+/**
+ * Get per-account authentication state for the admin panel
+ */
+function getAuthStats() {
+  return listAccounts().map(account => {
+    const authData = accountStates.get(account.name)?.authData;
+    return {
+      account: account.name,
+      method: getAuthMethod(account),
+      jellyfinUser: authData?.userName || account.username || null,
+      userId: authData?.userId || null,
+      authenticated: !!authData?.token,
+      unauthorizedCount: accountStates.get(account.name)?.unauthorizedCount || 0,
+      lastAuth: authData?.lastAuth ? new Date(authData.lastAuth).toISOString() : null
+    };
+  });
+}
+
+/**
+ * Get 401 recovery counters for the admin panel
+ */
+function getAuthFailureStats() {
+  return { ...authFailureStats };
 }
 
 /**
@@ -157,7 +464,7 @@ async function getAuthenticatedAxios() {
  */
 async function ensureAuth(req, res, next) {
   try {
-    await getAuthData();
+    await getAuthData(req);
     next();
   } catch (error) {
     console.error('Authentication middleware error:', error.message);
@@ -173,5 +480,12 @@ module.exports = {
   authenticate,
   getAuthData,
   getAuthenticatedAxios,
+  getAuthMode,
+  getAuthStats,
+  getAuthFailureStats,
+  initiateQuickConnect,
+  checkQuickConnect,
+  authenticateWithQuickConnect,
+  signOut,
   ensureAuth
 };
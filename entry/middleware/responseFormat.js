@@ -0,0 +1,36 @@
+const { toText } = require('../../utils/textFormat');
+
+const TEXT_CONTENT_TYPE = 'text/plain; charset=utf-8';
+
+/**
+ * Check whether a request asked for the plain-text format
+ * @param {Object} req - Express request
+ * @returns {boolean} True for ?format=text or an Accept header preferring text/plain
+ */
+function wantsText(req) {
+  if (req.query.format === 'text') return true;
+  if (!req.get('Accept')) return false;
+  return req.accepts(['application/json', 'text/plain']) === 'text/plain';
+}
+
+/**
+ * Middleware that serializes every res.json() body into the text format when the client
+ * negotiated it, so routes keep building plain objects. Proxied media and playlists are
+ * sent without res.json() and pass through untouched.
+ */
+function negotiateResponseFormat(req, res, next) {
+  res.vary('Accept');
+  if (!wantsText(req)) {
+    return next();
+  }
+
+  res.json = function (body) {
+    this.type(TEXT_CONTENT_TYPE);
+    return this.send(toText(body, { status: this.statusCode }));
+  };
+  next();
+}
+
+module.exports = {
+  negotiateResponseFormat
+};
@@ -0,0 +1,204 @@
+const net = require('net');
+const { getActiveSessions, getPlaybackSession, sessionEvents } = require('../../utils/playbackSessions');
+const { hashKey, getClientId } = require('../../utils/userRegistry');
+
+const MAX_STREAMS_PER_CLIENT = parseInt(process.env.MAX_STREAMS_PER_CLIENT) || 0;
+const QUEUE_MAX_WAIT = (parseInt(process.env.STREAM_QUEUE_MAX_WAIT) || 30) * 1000;
+const QUEUE_SIZE = parseInt(process.env.STREAM_QUEUE_SIZE) || 20;
+const RETRY_AFTER_SECONDS = 30;
+
+// Admitted requests that have not created their playback session yet
+const reservations = new Set();
+// Requests waiting for a free slot, oldest first
+const queue = [];
+
+const limitStats = {
+  admitted: 0,
+  rejected: 0,
+  queued: 0,
+  timedOut: 0
+};
+
+/**
+ * Parse STREAM_CLIENT_LIMITS ("192.168.1.20=2,some-api-key=4") into client ID -> limit
+ */
+function parseClientLimits(value) {
+  const limits = new Map();
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.lastIndexOf('=');
+    if (separator === -1) continue;
+    const client = entry.substring(0, separator).trim();
+    const limit = parseInt(entry.substring(separator + 1));
+    if (!client || isNaN(limit)) continue;
+    limits.set(net.isIP(client) ? `ip:${client}` : `key:${hashKey(client)}`, limit);
+  }
+  return limits;
+}
+
+const clientLimits = parseClientLimits(process.env.STREAM_CLIENT_LIMITS);
+
+/**
+ * Count sessions and pending admissions, overall and for one client
+ */
+function countStreams(clientId) {
+  let total = reservations.size;
+  let client = 0;
+  for (const reservation of reservations) {
+    if (reservation.clientId === clientId) client++;
+  }
+  for (const session of getActiveSessions().values()) {
+    total++;
+    if (session.clientId === clientId) client++;
+  }
+  return { total, client };
+}
+
+/**
+ * Check whether a client may start another stream
+ * @returns {Object|null} The limit that blocks the stream, or null if there is room
+ */
+function findExceededLimit(maxConcurrent, clientId) {
+  const counts = countStreams(clientId);
+  if (counts.total >= maxConcurrent) {
+    return { scope: 'server', limit: maxConcurrent, active: counts.total };
+  }
+
+  const clientLimit = clientLimits.has(clientId) ? clientLimits.get(clientId) : MAX_STREAMS_PER_CLIENT;
+  if (clientLimit > 0 && counts.client >= clientLimit) {
+    return { scope: 'client', limit: clientLimit, active: counts.client };
+  }
+  return null;
+}
+
+/**
+ * Hold a slot for a request until its playback session exists or the response ends
+ */
+function admit(req, res, clientId) {
+  const reservation = { clientId };
+  reservations.add(reservation);
+  limitStats.admitted++;
+
+  req.streamClientId = clientId;
+  req.releaseStreamSlot = () => {
+    if (reservations.delete(reservation)) {
+      drainQueue();
+    }
+  };
+  res.on('close', req.releaseStreamSlot);
+}
+
+/**
+ * Answer with 429 and a Retry-After hint
+ */
+function reject(res, exceeded, details = {}) {
+  limitStats.rejected++;
+  res.set('Retry-After', String(RETRY_AFTER_SECONDS)).status(429).json({
+    error: 'Too many concurrent streams',
+    details: exceeded.scope === 'server'
+      ? `The server is at its limit of ${exceeded.limit} concurrent streams`
+      : `This client is at its limit of ${exceeded.limit} concurrent streams`,
+    ...exceeded,
+    retryAfter: RETRY_AFTER_SECONDS,
+    ...details
+  });
+}
+
+/**
+ * Admit queued requests, oldest first, while there is room
+ */
+function drainQueue() {
+  for (let i = 0; i < queue.length;) {
+    const entry = queue[i];
+    if (findExceededLimit(entry.req.app.locals.maxConcurrentStreams, entry.clientId)) {
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    clearTimeout(entry.timer);
+    admit(entry.req, entry.res, entry.clientId);
+    entry.next();
+  }
+}
+
+sessionEvents.on('stopped', drainQueue);
+
+/**
+ * Middleware that enforces MAX_CONCURRENT_STREAMS and per-client limits on new proxied streams.
+ * Requests joining an existing playback session (range requests, reconnects, HLS segments)
+ * always pass; proxy requests whose session has ended count as a new stream.
+ * With ?wait=<seconds> a request queues for a free slot instead of being rejected at once.
+ */
+function limitConcurrentStreams(req, res, next) {
+  // Only proxy requests carry a verified stream token; metadata requests start nothing
+  if (!req.streamToken) {
+    return next();
+  }
+  if (getPlaybackSession(req.streamToken.playSessionId)) {
+    return next();
+  }
+
+  const clientId = req.streamToken.clientId || getClientId(req);
+  const exceeded = findExceededLimit(req.app.locals.maxConcurrentStreams, clientId);
+  if (!exceeded) {
+    admit(req, res, clientId);
+    return next();
+  }
+
+  const wait = Math.min((parseInt(req.query.wait) || 0) * 1000, QUEUE_MAX_WAIT);
+  if (wait <= 0 || queue.length >= QUEUE_SIZE) {
+    return reject(res, exceeded, wait > 0 ? { queueFull: true } : {});
+  }
+
+  const entry = { req, res, next, clientId, enqueuedAt: Date.now() };
+  entry.timer = setTimeout(() => {
+    const index = queue.indexOf(entry);
+    if (index === -1) return;
+    queue.splice(index, 1);
+    limitStats.timedOut++;
+    reject(res, findExceededLimit(req.app.locals.maxConcurrentStreams, clientId) || exceeded, {
+      queued: true,
+      waitedMs: Date.now() - entry.enqueuedAt
+    });
+  }, wait);
+
+  // Drop the entry if the client gives up while waiting
+  res.on('close', () => {
+    const index = queue.indexOf(entry);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      clearTimeout(entry.timer);
+    }
+  });
+
+  queue.push(entry);
+  limitStats.queued++;
+}
+
+/**
+ * Get limit and queue counters for the admin panel
+ * @param {number} maxConcurrent - Server-wide stream limit
+ */
+function getStreamLimitStats(maxConcurrent) {
+  const now = Date.now();
+  return {
+    ...limitStats,
+    maxConcurrentStreams: maxConcurrent,
+    maxStreamsPerClient: MAX_STREAMS_PER_CLIENT || null,
+    clientOverrides: clientLimits.size,
+    active: getActiveSessions().size,
+    pending: reservations.size,
+    queueLength: queue.length,
+    queueSize: QUEUE_SIZE,
+    maxWaitSeconds: QUEUE_MAX_WAIT / 1000,
+    queue: queue.map(entry => ({
+      clientId: entry.clientId,
+      itemId: entry.req.params.itemId,
+      waitingMs: now - entry.enqueuedAt
+    }))
+  };
+}
+
+module.exports = {
+  limitConcurrentStreams,
+  getStreamLimitStats
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+// Tokens are signed with a configured secret; a random one means tokens die with the process
+const TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const TOKEN_TTL = (parseInt(process.env.STREAM_TOKEN_TTL) || 21600) * 1000;
+
+// Revocation state: individual token IDs plus a cut-off for "revoke everything"
+const revokedTokens = new Map();
+let revokedBefore = 0;
+
+const tokenStats = {
+  issued: 0,
+  rejected: 0,
+  revoked: 0
+};
+
+/**
+ * Sign an encoded payload
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Drop revocation entries for tokens that have expired anyway
+ */
+function pruneRevoked() {
+  const now = Date.now();
+  for (const [tokenId, expiresAt] of revokedTokens.entries()) {
+    if (expiresAt < now) {
+      revokedTokens.delete(tokenId);
+    }
+  }
+}
+
+/**
+ * Issue a signed, expiring token scoped to one item and media source
+ * @param {Object} scope - Token scope
+ * @param {string} scope.itemId - Jellyfin item ID
+ * @param {string} scope.mediaSourceId - Jellyfin media source ID
+ * @param {string} scope.playSessionId - Optional Jellyfin PlaySessionId shared by every request using the token
+ * @param {string} scope.clientId - Optional client the token's streams count against for concurrency limits
+ * @param {number} scope.ttlMs - Optional lifetime override in milliseconds
+ * @returns {string} Token safe to place in a URL
+ */
+function issueStreamToken({ itemId, mediaSourceId, playSessionId, clientId, ttlMs = TOKEN_TTL }) {
+  const now = Date.now();
+  const payload = {
+    jti: crypto.randomBytes(9).toString('base64url'),
+    itemId,
+    mediaSourceId,
+    playSessionId,
+    clientId,
+    iat: now,
+    exp: now + ttlMs
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  tokenStats.issued++;
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Decode a token and check its signature, expiry and revocation state
+ * @param {string} token - Token from the request
+ * @returns {Object} Token payload
+ * @throws {Error} When the token is malformed, forged, expired or revoked
+ */
+function verifyStreamToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    throw new Error('Missing or malformed stream token');
+  }
+
+  const [encoded, signature] = token.split('.');
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid stream token signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed stream token payload');
+  }
+
+  if (!payload.exp || payload.exp < Date.now()) {
+    throw new Error('Stream token expired');
+  }
+  if (payload.iat < revokedBefore || revokedTokens.has(payload.jti)) {
+    throw new Error('Stream token revoked');
+  }
+
+  return payload;
+}
+
+/**
+ * Revoke a single token
+ * @param {string} token - Token to revoke
+ * @returns {boolean} True if the token was valid and is now revoked
+ */
+function revokeStreamToken(token) {
+  pruneRevoked();
+  try {
+    const payload = verifyStreamToken(token);
+    revokedTokens.set(payload.jti, payload.exp);
+    tokenStats.revoked++;
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Revoke every token issued up to now
+ */
+function revokeAllStreamTokens() {
+  revokedBefore = Date.now() + 1;
+  revokedTokens.clear();
+  tokenStats.revoked++;
+}
+
+/**
+ * Get token counters for the admin panel
+ */
+function getStreamTokenStats() {
+  pruneRevoked();
+  return {
+    ...tokenStats,
+    ttlSeconds: Math.round(TOKEN_TTL / 1000),
+    revokedOutstanding: revokedTokens.size,
+    revokedBefore: revokedBefore ? new Date(revokedBefore).toISOString() : null,
+    persistentSecret: !!process.env.STREAM_TOKEN_SECRET
+  };
+}
+
+/**
+ * Middleware that requires a valid stream token for the requested item
+ */
+function requireStreamToken(req, res, next) {
+  try {
+    const payload = verifyStreamToken(req.query.token);
+    if (payload.itemId !== req.params.itemId) {
+      throw new Error('Stream token not valid for this item');
+    }
+    // Jellyfin reads query parameters case-insensitively, so check every spelling
+    const mediaSourceIds = Object.keys(req.query)
+      .filter(key => key.toLowerCase() === 'mediasourceid')
+      .map(key => req.query[key]);
+    if (mediaSourceIds.some(value => value !== payload.mediaSourceId)) {
+      throw new Error('Stream token not valid for this media source');
+    }
+    req.streamToken = payload;
+    next();
+  } catch (error) {
+    tokenStats.rejected++;
+    res.status(401).json({
+      error: 'Invalid stream token',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  issueStreamToken,
+  verifyStreamToken,
+  revokeStreamToken,
+  revokeAllStreamTokens,
+  getStreamTokenStats,
+  requireStreamToken
+};
@@ -0,0 +1,407 @@
+/**
+ * WebSocket event channel: pushes stream, playback, library and transcode events
+ * to subscribed clients as JSON or in the line-based text format
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const { toText } = require('../utils/textFormat');
+const { sessionEvents, getActiveSessions } = require('../utils/playbackSessions');
+const { fetchJellyfinSessions, extractTranscodingInfo } = require('../utils/jellyfinSessions');
+const { jellyfinEvents, setJellyfinEventsWanted, isJellyfinEventsConnected } = require('../utils/jellyfinEvents');
+const { checkUpgrade, hasScope } = require('../entry/middleware/apiKeys');
+const { DEFAULT_ACCOUNT, getApiKey, getClientId, resolveAccount } = require('../utils/userRegistry');
+
+const EVENTS_PATH = '/api/events';
+const TOPICS = ['streams', 'playback', 'library', 'transcode'];
+const FORMATS = ['json', 'text'];
+const HEARTBEAT_INTERVAL = 30000;
+const TRANSCODE_POLL_INTERVAL = 5000;
+const MAX_MESSAGE_SIZE = 4096;
+
+const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+// Connected clients and their subscriptions
+const clients = new Set();
+
+const eventStats = {
+  connections: 0,
+  messagesSent: 0
+};
+
+let transcodeTimer = null;
+// Last transcode state sent per session, so unchanged progress is not repeated
+const lastTranscode = new Map();
+// Last paused state published per session, to tell pause and resume apart from progress
+const lastPaused = new WeakMap();
+
+/**
+ * Encode a message in the client's format
+ */
+function encode(client, message) {
+  if (client.format === 'text') {
+    const { data, ...header } = message;
+    return toText(data, header);
+  }
+  return JSON.stringify(message);
+}
+
+/**
+ * Send a message to one client
+ */
+function send(client, message) {
+  if (client.ws.readyState !== WebSocket.OPEN) return;
+  client.ws.send(encode(client, { ...message, timestamp: new Date().toISOString() }));
+  eventStats.messagesSent++;
+}
+
+/**
+ * Check whether a client wants a topic, either all of it or one key (e.g. "playback:<sessionId>")
+ */
+function isSubscribed(client, topic, key) {
+  return client.topics.has(topic) || (key !== undefined && client.topics.has(`${topic}:${key}`));
+}
+
+/**
+ * Check whether any client listens to a topic in any form
+ */
+function hasSubscribers(topic) {
+  for (const client of clients) {
+    for (const subscription of client.topics) {
+      if (subscription === topic || subscription.startsWith(`${topic}:`)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a client may see a playback session: sessions of the Jellyfin account its key
+ * or IP maps to, or every session with an admin key
+ */
+function canSeeSession(client, session) {
+  return client.allSessions || resolveAccount(session.clientId).name === client.account;
+}
+
+/**
+ * Send an event to every client subscribed to its topic
+ * @param {string} topic - One of TOPICS
+ * @param {string} event - Event name within the topic
+ * @param {Object} data - Event payload
+ * @param {Object} session - Playback session the event is about; limits who receives it
+ */
+function publishEvent(topic, event, data, session) {
+  for (const client of clients) {
+    if (isSubscribed(client, topic, session?.sessionId) && (!session || canSeeSession(client, session))) {
+      send(client, { topic, event, data });
+    }
+  }
+}
+
+/**
+ * Send an event about one Jellyfin account's own data to the subscribed clients acting as it
+ * @param {string} topic - One of TOPICS
+ * @param {string} event - Event name within the topic
+ * @param {Object} data - Event payload
+ * @param {string} account - Registry account name the data belongs to
+ */
+function publishAccountEvent(topic, event, data, account) {
+  for (const client of clients) {
+    if (isSubscribed(client, topic) && client.account === account) {
+      send(client, { topic, event, data });
+    }
+  }
+}
+
+/**
+ * Public view of a playback session; client IPs and key hashes stay on the admin panel
+ */
+function describeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    itemId: session.itemId,
+    itemName: session.itemName || null,
+    mediaSourceId: session.mediaSourceId || null,
+    playMethod: session.playMethod,
+    position: Math.round(session.positionTicks / 10000000),
+    duration: session.runTimeTicks ? Math.round(session.runTimeTicks / 10000000) : 0,
+    isPaused: !!session.isPaused,
+    progressSource: session.progressSource,
+    startTime: new Date(session.startTime).toISOString()
+  };
+}
+
+/**
+ * Start or stop the upstream sources that only run while someone listens
+ */
+function updateSources() {
+  setJellyfinEventsWanted(hasSubscribers('library'));
+
+  const wantTranscode = hasSubscribers('transcode');
+  if (wantTranscode && !transcodeTimer) {
+    transcodeTimer = setInterval(pollTranscodes, TRANSCODE_POLL_INTERVAL);
+    transcodeTimer.unref();
+  } else if (!wantTranscode && transcodeTimer) {
+    clearInterval(transcodeTimer);
+    transcodeTimer = null;
+    lastTranscode.clear();
+  }
+}
+
+/**
+ * Publish transcode progress for bridge sessions that Jellyfin is transcoding
+ */
+async function pollTranscodes() {
+  const active = getActiveSessions();
+  if (active.size === 0) return;
+
+  const jellyfinSessions = await fetchJellyfinSessions();
+  for (const jellyfinSession of jellyfinSessions) {
+    const session = active.get(jellyfinSession.PlaySessionId);
+    const transcoding = session && extractTranscodingInfo(jellyfinSession);
+    if (!transcoding?.isTranscoding) continue;
+
+    const fingerprint = JSON.stringify(transcoding);
+    if (lastTranscode.get(session.sessionId) === fingerprint) continue;
+    lastTranscode.set(session.sessionId, fingerprint);
+
+    publishEvent('transcode', 'progress', {
+      sessionId: session.sessionId,
+      itemId: session.itemId,
+      ...transcoding
+    }, session);
+  }
+}
+
+/**
+ * Parse a client command, sent either as JSON ({"action":"subscribe","topics":["streams"]})
+ * or as text ("subscribe streams,playback:abc")
+ */
+function parseCommand(raw) {
+  const text = raw.toString().trim();
+  if (text.startsWith('{')) {
+    const command = JSON.parse(text);
+    const topics = Array.isArray(command.topics) ? command.topics : [command.topics || command.topic];
+    return { action: command.action, topics: topics.filter(Boolean), format: command.format };
+  }
+
+  const [action, argument = ''] = text.split(/\s+/, 2);
+  const values = argument.split(',').map(value => value.trim()).filter(Boolean);
+  return { action, topics: values, format: values[0] };
+}
+
+/**
+ * Split valid subscriptions from unknown topics
+ */
+function validateTopics(topics) {
+  const valid = [];
+  const invalid = [];
+  for (const topic of topics) {
+    const base = String(topic).split(':')[0];
+    (TOPICS.includes(base) ? valid : invalid).push(String(topic));
+  }
+  return { valid, invalid };
+}
+
+/**
+ * Apply a client command
+ */
+function handleCommand(client, raw) {
+  let command;
+  try {
+    command = parseCommand(raw);
+  } catch (error) {
+    return send(client, { topic: 'control', event: 'error', data: { error: 'Invalid command', details: error.message } });
+  }
+
+  switch (command.action) {
+    case 'subscribe':
+    case 'unsubscribe': {
+      const { valid, invalid } = validateTopics(command.topics);
+      if (invalid.length > 0) {
+        return send(client, {
+          topic: 'control',
+          event: 'error',
+          data: { error: 'Unknown topic', details: `Valid topics are ${TOPICS.join(', ')}`, topics: invalid }
+        });
+      }
+      for (const topic of valid) {
+        if (command.action === 'subscribe') client.topics.add(topic);
+        else client.topics.delete(topic);
+      }
+      updateSources();
+      return send(client, {
+        topic: 'control',
+        event: `${command.action}d`,
+        data: { topics: [...client.topics] }
+      });
+    }
+    case 'format':
+      if (!FORMATS.includes(command.format)) {
+        return send(client, {
+          topic: 'control',
+          event: 'error',
+          data: { error: 'Unknown format', details: `Valid formats are ${FORMATS.join(', ')}` }
+        });
+      }
+      client.format = command.format;
+      return send(client, { topic: 'control', event: 'format', data: { format: client.format } });
+    case 'ping':
+      return send(client, { topic: 'control', event: 'pong', data: {} });
+    default:
+      return send(client, {
+        topic: 'control',
+        event: 'error',
+        data: { error: 'Unknown action', details: 'Valid actions are subscribe, unsubscribe, format and ping' }
+      });
+  }
+}
+
+/**
+ * Register a new client; ?topics= and ?format= set its initial subscriptions and format
+ */
+function handleConnection(ws, req) {
+  const url = new URL(req.url, 'http://localhost');
+  const format = url.searchParams.get('format');
+  const requested = (url.searchParams.get('topics') || '').split(',').map(topic => topic.trim()).filter(Boolean);
+  const { valid } = validateTopics(requested);
+
+  const client = {
+    ws,
+    topics: new Set(valid),
+    format: FORMATS.includes(format) ? format : 'json',
+    account: resolveAccount(getClientId(req)).name,
+    allSessions: hasScope(getApiKey(req), 'admin'),
+    isAlive: true
+  };
+  clients.add(client);
+  eventStats.connections++;
+  updateSources();
+
+  ws.on('pong', () => { client.isAlive = true; });
+  ws.on('message', raw => handleCommand(client, raw));
+  ws.on('close', () => {
+    clients.delete(client);
+    updateSources();
+  });
+  ws.on('error', error => {
+    console.error('Event socket client error:', error.message);
+  });
+
+  send(client, {
+    topic: 'control',
+    event: 'welcome',
+    data: {
+      topics: [...client.topics],
+      availableTopics: TOPICS,
+      format: client.format,
+      sessions: client.allSessions ? 'all' : 'own'
+    }
+  });
+}
+
+/**
+ * Drop clients that stopped answering pings
+ */
+function heartbeat() {
+  for (const client of clients) {
+    if (!client.isAlive) {
+      client.ws.terminate();
+      continue;
+    }
+    client.isAlive = false;
+    client.ws.ping();
+  }
+}
+
+sessionEvents.on('started', session => {
+  publishEvent('streams', 'started', describeSession(session), session);
+});
+
+sessionEvents.on('progress', session => {
+  const paused = !!session.isPaused;
+  const event = (lastPaused.get(session) ?? false) === paused
+    ? 'progress'
+    : (paused ? 'paused' : 'resumed');
+  lastPaused.set(session, paused);
+  publishEvent('playback', event, describeSession(session), session);
+});
+
+sessionEvents.on('stopped', (session, reason) => {
+  lastTranscode.delete(session.sessionId);
+  const data = { ...describeSession(session), reason };
+  publishEvent('streams', 'stopped', data, session);
+  publishEvent('playback', 'stopped', data, session);
+});
+
+jellyfinEvents.on('library', change => {
+  publishEvent('library', 'changed', {
+    itemsAdded: change.ItemsAdded || [],
+    itemsUpdated: change.ItemsUpdated || [],
+    itemsRemoved: change.ItemsRemoved || [],
+    foldersAddedTo: change.FoldersAddedTo || [],
+    foldersRemovedFrom: change.FoldersRemovedFrom || []
+  });
+});
+
+// The upstream socket signs in as the default account, so its user data is that account's alone
+jellyfinEvents.on('userData', change => {
+  publishAccountEvent('library', 'userData', {
+    items: (change.UserDataList || []).map(entry => ({
+      itemId: entry.ItemId,
+      isWatched: !!entry.Played,
+      playbackPosition: entry.PlaybackPositionTicks ? Math.round(entry.PlaybackPositionTicks / 10000000) : 0,
+      isFavorite: !!entry.IsFavorite
+    }))
+  }, DEFAULT_ACCOUNT);
+});
+
+/**
+ * Serve the event channel on the HTTP server's upgrade requests
+ * @param {Object} server - HTTP server returned by app.listen()
+ */
+function attachEventSocket(server) {
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== EVENTS_PATH) {
+      socket.destroy();
+      return;
+    }
+    const denied = checkUpgrade(req, 'browse');
+    if (denied) {
+      socket.end(`HTTP/1.1 ${denied.status} ${http.STATUS_CODES[denied.status]}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, req));
+  });
+
+  setInterval(heartbeat, HEARTBEAT_INTERVAL).unref();
+}
+
+/**
+ * Get event channel counters for the admin panel
+ */
+function getEventStats() {
+  const subscriptions = {};
+  for (const topic of TOPICS) {
+    subscriptions[topic] = 0;
+  }
+  for (const client of clients) {
+    for (const topic of TOPICS) {
+      if ([...client.topics].some(subscription => subscription.split(':')[0] === topic)) {
+        subscriptions[topic]++;
+      }
+    }
+  }
+
+  return {
+    path: EVENTS_PATH,
+    clients: clients.size,
+    ...eventStats,
+    subscriptions,
+    jellyfinSocketConnected: isJellyfinEventsConnected()
+  };
+}
+
+module.exports = {
+  attachEventSocket,
+  getEventStats
+};
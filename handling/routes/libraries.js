@@ -1,24 +1,84 @@
 const express = require('express');
 const { getAuthenticatedAxios, getAuthData, ensureAuth } = require('../../entry/middleware/auth');
 const { buildImageUrl, parseIntParam, SimpleCache } = require('../../utils/helpers');
+const { detectStereoMode, detectProjection, describeDynamicRange } = require('../../utils/vrVideo');
 const router = express.Router();
 
 // Cache with 5 minute TTL and max 50 entries
 const cache = new SimpleCache(50, 300000);
 
+// Most candidates one VR-filtered listing scans; only ids, paths and tags are loaded for them
+const VR_SCAN_LIMIT = 5000;
+
+const ITEM_FIELDS = 'PrimaryImageAspectRatio,ProductionYear,Overview,Genres,RunTimeTicks,MediaSources,UserData,Path,Tags';
+
+/**
+ * Check whether an item passes the "3D only" and "360 only" filters
+ */
+function matchesVrFilters(item, only3D, only360) {
+  if (only3D && detectStereoMode(item).stereoMode === 'mono') return false;
+  if (only360 && detectProjection(item).projection !== 'equirectangular360') return false;
+  return true;
+}
+
+/**
+ * Page through items matching the VR filters. Jellyfin filters 3D items itself, but stereo
+ * layout and projection partly come from tags and file names, which it cannot filter on. So the
+ * ids of up to VR_SCAN_LIMIT candidates are scanned (cached per query) and only the requested
+ * page is loaded in full.
+ */
+async function getVrFilteredItems(axios, userId, params, only3D, only360) {
+  const { StartIndex, Limit, Fields, ...query } = params;
+  const cacheKey = `vr:${userId}:${JSON.stringify(query)}:${only3D}:${only360}`;
+
+  let ids = cache.get(cacheKey);
+  if (!ids) {
+    const scan = await axios.get(`/Users/${userId}/Items`, {
+      params: {
+        ...query,
+        ...(only3D ? { Is3D: true } : {}),
+        Limit: VR_SCAN_LIMIT,
+        Fields: 'Path,Tags',
+        EnableImages: false,
+        EnableUserData: false
+      }
+    });
+    ids = scan.data.Items
+      .filter(item => matchesVrFilters(item, only3D, only360))
+      .map(item => item.Id);
+    cache.set(cacheKey, ids);
+  }
+
+  const pageIds = ids.slice(StartIndex, StartIndex + Limit);
+  if (pageIds.length === 0) {
+    return { Items: [], TotalRecordCount: ids.length };
+  }
+
+  const response = await axios.get(`/Users/${userId}/Items`, {
+    params: { Ids: pageIds.join(','), Fields }
+  });
+  // Ids= does not keep the requested order
+  const order = new Map(pageIds.map((id, index) => [id, index]));
+  const items = response.data.Items.sort((a, b) => order.get(a.Id) - order.get(b.Id));
+
+  return { Items: items, TotalRecordCount: ids.length };
+}
+
 /**
  * Get all media libraries
  * GET /api/libraries
  */
 router.get('/', ensureAuth, async (req, res) => {
   try {
-    const cached = cache.get('libraries');
+    const auth = await getAuthData(req);
+    // Users can have access to different libraries
+    const cacheKey = `libraries:${auth.userId}`;
+    const cached = cache.get(cacheKey);
     if (cached) {
       return res.json(cached);
     }
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get(`/Users/${auth.userId}/Views`);
 
     const libraries = response.data.Items
@@ -32,7 +92,7 @@ router.get('/', ensureAuth, async (req, res) => {
       }));
 
     const result = { libraries };
-    cache.set('libraries', result);
+    cache.set(cacheKey, result);
     res.json(result);
 
   } catch (error) {
@@ -59,14 +119,18 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
       sortOrder = 'Ascending',
       type = 'Movie,Episode,Video,Series',
       genres = '',
-      years = ''
+      years = '',
+      is3D = 'false',
+      is360 = 'false'
     } = req.query;
 
     const pageNum = parseIntParam(page, 0, 0, 1000);
     const limitNum = parseIntParam(limit, 50, 1, 100);
+    const only3D = is3D === 'true';
+    const only360 = is360 === 'true';
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const params = {
       ParentId: libraryId,
@@ -77,16 +141,19 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
       SortOrder: sortOrder,
       Recursive: true,
       IncludeItemTypes: type,
-      Fields: 'PrimaryImageAspectRatio,ProductionYear,Overview,Genres,RunTimeTicks,MediaSources,UserData'
+      Fields: ITEM_FIELDS
     };
 
     if (genres) params.Genres = genres;
     if (years) params.Years = years;
 
-    const response = await axios.get(`/Users/${auth.userId}/Items`, { params });
+    const data = only3D || only360
+      ? await getVrFilteredItems(axios, auth.userId, params, only3D, only360)
+      : (await axios.get(`/Users/${auth.userId}/Items`, { params })).data;
 
-    const items = response.data.Items.map(item => {
+    const items = data.Items.map(item => {
       const videoStream = item.MediaSources?.[0]?.MediaStreams?.find(s => s.Type === 'Video');
+      const hasVideo = item.MediaSources?.length > 0;
       return {
         id: item.Id,
         name: item.Name,
@@ -98,9 +165,12 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
         duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
         thumbnail: buildImageUrl(item, 'Primary', 300),
         backdrop: buildImageUrl(item, 'Backdrop', 1080),
-        hasVideo: item.MediaSources?.length > 0,
+        hasVideo,
         resolution: videoStream?.Height || 0,
         codec: videoStream?.Codec || 'unknown',
+        stereoMode: hasVideo ? detectStereoMode(item, item.MediaSources[0]).stereoMode : null,
+        projection: hasVideo ? detectProjection(item).projection : null,
+        hdrType: videoStream ? describeDynamicRange(videoStream).hdrType : null,
         isWatched: item.UserData?.Played || false,
         playbackPosition: item.UserData?.PlaybackPositionTicks
           ? Math.round(item.UserData.PlaybackPositionTicks / 10000000)
@@ -115,10 +185,10 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
 
     res.json({
       items,
-      totalCount: response.data.TotalRecordCount,
+      totalCount: data.TotalRecordCount,
       page: pageNum,
       limit: limitNum,
-      totalPages: Math.ceil(response.data.TotalRecordCount / limitNum),
+      totalPages: Math.ceil(data.TotalRecordCount / limitNum),
       libraryId,
       filters: {
         search: search || null,
@@ -126,7 +196,9 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
         sortOrder,
         type,
         genres: genres || null,
-        years: years || null
+        years: years || null,
+        is3D: only3D,
+        is360: only360
       }
     });
 
@@ -146,8 +218,8 @@ router.get('/:libraryId/items', ensureAuth, async (req, res) => {
 router.get('/:libraryId/stats', ensureAuth, async (req, res) => {
   try {
     const { libraryId } = req.params;
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const [moviesResp, seriesResp, episodesResp] = await Promise.allSettled([
       axios.get(`/Users/${auth.userId}/Items`, {
@@ -0,0 +1,204 @@
+const express = require('express');
+const crypto = require('crypto');
+const {
+  initiateQuickConnect,
+  checkQuickConnect,
+  authenticateWithQuickConnect,
+  signOut
+} = require('../../entry/middleware/auth');
+const { buildBridgeUrl } = require('../../utils/helpers');
+const { addPairedAccount } = require('../../utils/userRegistry');
+const router = express.Router();
+
+// Jellyfin drops Quick Connect requests after 10 minutes
+const PAIRING_TTL = 10 * 60 * 1000;
+const POLL_INTERVAL = 5000;
+const MAX_PENDING_PAIRINGS = 20;
+
+// Keyed by pairing ID; finished pairings stay until they expire so clients can read the result
+const pairings = new Map();
+let pollTimer = null;
+
+/**
+ * Count pairings still waiting for approval
+ */
+function countPending() {
+  let pending = 0;
+  for (const pairing of pairings.values()) {
+    if (pairing.status === 'pending') pending++;
+  }
+  return pending;
+}
+
+/**
+ * Finish a pairing the user approved: exchange the secret for a token and issue a client key
+ */
+async function completePairing(pairing) {
+  const session = await authenticateWithQuickConnect(pairing.secret, pairing.deviceId);
+  let paired;
+  try {
+    paired = addPairedAccount(session);
+  } catch (error) {
+    // Retrying would not help; the bridge's data directory has to be fixed first
+    Object.assign(pairing, { status: 'failed', secret: null, error: error.message });
+    return;
+  }
+  const { account, clientKey } = paired;
+  Object.assign(pairing, {
+    status: 'approved',
+    secret: null,
+    clientKey,
+    account: account.name,
+    jellyfinUser: session.userName
+  });
+  console.log(`Quick Connect pairing ${pairing.code} approved by ${session.userName}`);
+}
+
+/**
+ * Check every pending pairing with Jellyfin and drop expired ones
+ */
+async function pollPairings() {
+  const now = Date.now();
+  for (const [pairingId, pairing] of pairings) {
+    if (now > pairing.expiresAt) {
+      pairings.delete(pairingId);
+      continue;
+    }
+    if (pairing.status !== 'pending' || pairing.checking) continue;
+
+    pairing.checking = true;
+    try {
+      if (await checkQuickConnect(pairing.secret)) {
+        await completePairing(pairing);
+      }
+    } catch (error) {
+      // Jellyfin answers 404 once it has forgotten the request; anything else is retried
+      if (error.response?.status === 404) {
+        pairing.status = 'expired';
+      } else if (error.message.startsWith('Authentication failed')) {
+        pairing.status = 'failed';
+        pairing.error = error.message;
+      } else {
+        console.warn(`Quick Connect check failed for pairing ${pairing.code}:`, error.message);
+      }
+    } finally {
+      pairing.checking = false;
+    }
+  }
+
+  if (pairings.size === 0) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Public view of a pairing; the client key is included once approved
+ */
+function describePairing(pairingId, pairing) {
+  const result = {
+    pairingId,
+    status: pairing.status,
+    code: pairing.code,
+    expiresAt: new Date(pairing.expiresAt).toISOString()
+  };
+  if (pairing.status === 'approved') {
+    result.clientKey = pairing.clientKey;
+    result.jellyfinUser = pairing.jellyfinUser;
+  }
+  if (pairing.error) {
+    result.error = pairing.error;
+  }
+  return result;
+}
+
+/**
+ * Start pairing a client with a Jellyfin account through Quick Connect
+ * POST /api/pair
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (countPending() >= MAX_PENDING_PAIRINGS) {
+      return res.status(429).json({
+        error: 'Too many pending pairings',
+        details: 'Try again once other pairing requests are approved or expire'
+      });
+    }
+
+    const pairingId = crypto.randomBytes(16).toString('base64url');
+    const deviceId = `resonite-api-pair-${pairingId.substring(0, 12)}`;
+    const { secret, code } = await initiateQuickConnect(deviceId);
+
+    const pairing = {
+      secret,
+      code,
+      deviceId,
+      status: 'pending',
+      expiresAt: Date.now() + PAIRING_TTL
+    };
+    pairings.set(pairingId, pairing);
+    if (!pollTimer) {
+      pollTimer = setInterval(pollPairings, POLL_INTERVAL);
+      pollTimer.unref();
+    }
+
+    console.log(`Quick Connect pairing ${code} started`);
+    res.json({
+      ...describePairing(pairingId, pairing),
+      statusUrl: buildBridgeUrl(req, `${req.baseUrl}/${pairingId}`),
+      pollInterval: POLL_INTERVAL / 1000
+    });
+
+  } catch (error) {
+    console.error('Pairing start error:', error.message);
+    // Jellyfin refuses to start Quick Connect when an admin has disabled it
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      return res.status(503).json({
+        error: 'Quick Connect unavailable',
+        details: 'Enable Quick Connect in the Jellyfin dashboard under General settings'
+      });
+    }
+    res.status(502).json({
+      error: 'Failed to start pairing',
+      details: error.response?.data?.message || error.message
+    });
+  }
+});
+
+/**
+ * Get the state of a pairing: pending, approved (with the client key), expired or failed
+ * GET /api/pair/:pairingId
+ */
+router.get('/:pairingId', (req, res) => {
+  const pairing = pairings.get(req.params.pairingId);
+  if (!pairing || Date.now() > pairing.expiresAt) {
+    return res.status(404).json({ error: 'Pairing not found', details: 'It may have expired' });
+  }
+  res.json(describePairing(req.params.pairingId, pairing));
+});
+
+/**
+ * Unlink the paired account the request's X-API-Key belongs to and end its Jellyfin session
+ * DELETE /api/pair
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const account = await signOut(req);
+    if (!account) {
+      return res.status(404).json({
+        error: 'No paired account',
+        details: 'Send the client key from pairing in the X-API-Key header'
+      });
+    }
+    console.log(`Unpaired ${account.name}`);
+    res.json({ success: true, jellyfinUser: account.jellyfinUser });
+  } catch (error) {
+    console.error('Unpair error:', error.message);
+    res.status(500).json({
+      error: 'Failed to unpair',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,148 @@
 const express = require('express');
 const { getAuthenticatedAxios, getAuthData, ensureAuth } = require('../../entry/middleware/auth');
+const { issueStreamToken, requireStreamToken } = require('../../entry/middleware/streamTokens');
+const { limitConcurrentStreams } = require('../../entry/middleware/streamLimits');
+const { stripCredentials, isPlaylistPath, rewritePlaylist } = require('../../utils/hls');
+const { buildBridgeUrl, buildImageUrl, mapMediaSource, SimpleCache } = require('../../utils/helpers');
+const { isTextSubtitle, getSourceFormat, parseSubtitles, toWebVtt } = require('../../utils/subtitles');
+const { isSegmentCacheEnabled, buildSegmentKey, getSegment } = require('../../utils/segmentCache');
+const { getMediaSegments } = require('../../utils/mediaSegments');
+const { describeVrVideo } = require('../../utils/vrVideo');
+const { getClientId } = require('../../utils/userRegistry');
+const {
+  getDeviceProfile,
+  listDeviceProfiles,
+  buildJellyfinDeviceProfile,
+  checkDirectPlay,
+  selectBestMediaSource,
+  applyToneMapOverride,
+  supportsVideoRange,
+  getFallbackTranscode,
+  getAudioOutput,
+  buildJellyfinAudioProfile,
+  checkAudioDirectPlay
+} = require('../../utils/deviceProfiles');
+const {
+  startPlaybackSession,
+  getPlaybackSession,
+  attachConnection,
+  touchPlaybackSession,
+  resumePlaybackSession,
+  reportClientProgress,
+  stopPlaybackSession
+} = require('../../utils/playbackSessions');
 const router = express.Router();
 
+const DEFAULT_AUDIO_BITRATE = 320000;
+
+// Media sources whose direct play failed upstream go straight to a transcode for a while (10 minutes)
+const directPlayFailures = new SimpleCache(200, 600000);
+
+// Jellyfin item IDs are GUIDs; anything else could steer the upstream path elsewhere
+const ITEM_ID_PATTERN = /^[\w-]+$/;
+const SUBTITLE_FORMATS = ['vtt', 'srt', 'ass', 'ssa'];
+// What Jellyfin's HLS playlists link to below /Videos/{itemId}/: the variant playlist, media
+// segments (hls1/{playlistId}/{segmentId}.{container}) and subtitle playlists and cues, whose
+// first path part is the media source. Anything else there (stream, master.m3u8) starts a new stream.
+const HLS_PATH_PATTERNS = [
+  /^main\.m3u8$/,
+  /^hls1\/[\w-]+\/-?\d+\.(?:ts|mp4|m4s|aac)$/,
+  /^([\w-]+)\/Subtitles\/\d+\/subtitles\.m3u8$/i,
+  /^([\w-]+)\/Subtitles\/\d+\/(?:\d+\/)?stream\.(?:vtt|srt|ass|ssa)$/i
+];
+// Upstream query parameters taken from the stream token, never from the client
+const TOKEN_PARAMS = ['mediasourceid', 'playsessionid'];
+
+const PLAYLIST_HEADERS = {
+  'Content-Type': 'application/vnd.apple.mpegurl',
+  'Cache-Control': 'no-cache',
+  'Access-Control-Allow-Origin': '*'
+};
+
+router.param('itemId', (req, res, next, itemId) => {
+  if (!ITEM_ID_PATTERN.test(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' });
+  }
+  next();
+});
+
+/**
+ * Map a client-supplied segment path onto the item's /Videos/ folder
+ * @param {string} itemId - Jellyfin item ID
+ * @param {string} subPath - Path below /Videos/{itemId}/
+ * @param {string} mediaSourceId - Media source the stream token was issued for
+ * @returns {string|null} Upstream path, or null unless it is an HLS playlist, segment or subtitle of that source
+ */
+function resolveVideoPath(itemId, subPath, mediaSourceId) {
+  const allowed = HLS_PATH_PATTERNS.some(pattern => {
+    const match = pattern.exec(subPath || '');
+    return match && (!match[1] || match[1] === mediaSourceId);
+  });
+  return allowed ? `/Videos/${itemId}/${subPath}` : null;
+}
+
+/**
+ * Replace the media source and play session in an upstream query with the stream token's,
+ * whatever casing the client sent them in
+ */
+function pinToStreamToken(params, { mediaSourceId, playSessionId }) {
+  const pinned = Object.fromEntries(
+    Object.entries(params).filter(([key]) => !TOKEN_PARAMS.includes(key.toLowerCase()))
+  );
+  if (mediaSourceId) pinned.MediaSourceId = mediaSourceId;
+  if (playSessionId) pinned.PlaySessionId = playSessionId;
+  return pinned;
+}
+
+/**
+ * Proxy formats serve media, so they need a stream token; metadata requests issue one
+ */
+function requireTokenForProxy(req, res, next) {
+  if (req.query.format === 'direct' || req.query.format === 'hls') {
+    return requireStreamToken(req, res, next);
+  }
+  next();
+}
+
+/**
+ * List the client device profiles accepted by ?client=
+ * GET /api/stream/profiles
+ */
+router.get('/profiles', (req, res) => {
+  res.json({ profiles: listDeviceProfiles() });
+});
+
 /**
  * Get stream URL for a video item
  * GET /api/stream/:itemId
  */
-router.get('/:itemId', ensureAuth, async (req, res) => {
+router.get('/:itemId', ensureAuth, requireTokenForProxy, limitConcurrentStreams, async (req, res) => {
   try {
     const { itemId } = req.params;
     const {
-      maxWidth = 1920,
-      maxHeight = 1080,
-      videoBitrate = 5000000,
-      audioCodec = 'aac',
-      videoCodec = 'h264',
-      container: requestedContainer,
-      audioChannels = 2,
       quality = 'auto',
       format,
-      client
+      client,
+      audioStreamIndex,
+      subtitleStreamIndex,
+      audioLanguage,
+      subtitleLanguage
     } = req.query;
-    const isBrowserClient = client === 'browser';
-    const container = requestedContainer || (isBrowserClient ? 'mp4' : 'ts');
+    const requestedAudioIndex = parseStreamIndex(audioStreamIndex);
+    const requestedSubtitleIndex = parseStreamIndex(subtitleStreamIndex);
 
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    // Transcode settings come from the client's device profile unless overridden per request
+    const profile = applyToneMapOverride(getDeviceProfile(client), req.query.tonemap);
+    const container = req.query.container || profile.transcoding.container;
+    const videoCodec = req.query.videoCodec || profile.transcoding.videoCodec;
+    const audioCodec = req.query.audioCodec || profile.transcoding.audioCodec;
+    const maxWidth = parseInt(req.query.maxWidth) || profile.maxWidth;
+    const maxHeight = parseInt(req.query.maxHeight) || profile.maxHeight;
+    const videoBitrate = parseInt(req.query.videoBitrate) || profile.transcoding.bitrate;
+    const audioChannels = parseInt(req.query.audioChannels) || profile.maxAudioChannels;
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const itemResponse = await axios.get(`/Users/${auth.userId}/Items/${itemId}`);
     const item = itemResponse.data;
@@ -34,92 +151,121 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    const directPlayProfiles = isBrowserClient
-      ? [{
-          Container: 'mp4,webm',
-          AudioCodec: 'aac,mp3,opus,vorbis',
-          VideoCodec: 'h264,vp9,av1',
-          Type: 'Video'
-        }]
-      : [{
-          Container: 'mp4,m4v,mkv,avi,mov,wmv,asf,webm',
-          AudioCodec: 'aac,mp3,ac3,eac3,flac,alac,vorbis,opus',
-          VideoCodec: 'h264,hevc,vp8,vp9,av1',
-          Type: 'Video'
-        }];
+    const start = resolveStartPosition(req.query, item);
+    const requestedSourceId = req.streamToken?.mediaSourceId || req.query.mediaSourceId;
+    // Only the metadata response uses skip markers; look them up alongside PlaybackInfo
+    const segmentsPromise = format === 'hls' || format === 'direct' ? null : getMediaSegments(axios, item);
 
     const playbackInfo = await axios.post(`/Items/${itemId}/PlaybackInfo`, {
       UserId: auth.userId,
-      MaxStreamingBitrate: parseInt(videoBitrate),
-      MaxStaticBitrate: parseInt(videoBitrate),
-      MusicStreamingTranscodingBitrate: 192000,
-      DirectPlayProfiles: directPlayProfiles,
-      TranscodingProfiles: [{
-        Container: container,
-        Type: 'Video',
-        AudioCodec: audioCodec,
-        VideoCodec: videoCodec,
-        Context: 'Streaming',
-        MaxAudioChannels: parseInt(audioChannels)
-      }]
+      MediaSourceId: requestedSourceId,
+      MaxStreamingBitrate: parseInt(req.query.videoBitrate) || profile.maxBitrate,
+      AudioStreamIndex: requestedAudioIndex,
+      SubtitleStreamIndex: requestedSubtitleIndex,
+      StartTimeTicks: start.ticks || undefined,
+      DeviceProfile: buildJellyfinDeviceProfile(profile, { container, videoCodec, audioCodec, audioChannels })
     });
 
-    const mediaSource = playbackInfo.data.MediaSources?.[0];
+    // An explicit (or token-scoped) version wins; otherwise pick the best one for the profile
+    const availableSources = playbackInfo.data.MediaSources || [];
+    const mediaSource = requestedSourceId
+      ? availableSources.find(ms => ms.Id === requestedSourceId)
+      : selectBestMediaSource(profile, availableSources);
     if (!mediaSource) {
-      return res.status(400).json({ error: 'No media source available' });
+      return requestedSourceId
+        ? res.status(404).json({ error: 'Media source not found', mediaSourceId: requestedSourceId })
+        : res.status(400).json({ error: 'No media source available' });
     }
-    const playSessionId = playbackInfo.data.PlaySessionId;
+    // Tokens carry the metadata request's PlaySessionId so every proxied request joins one session
+    const playSessionId = req.streamToken?.playSessionId || playbackInfo.data.PlaySessionId;
     const mediaSourceId = mediaSource.Id;
 
     let streamUrl, hlsUrl, directUrl;
     let isDirectPlay = false;
+    let playMethod = 'Transcode';
+    let streamBitrate = mediaSource.Bitrate || 0;
     let transcodeReasons = [];
+    const tracks = selectTracks(mediaSource, {
+      audioStreamIndex: requestedAudioIndex,
+      subtitleStreamIndex: requestedSubtitleIndex,
+      audioLanguage,
+      subtitleLanguage
+    });
     const videoStreamInfo = mediaSource.MediaStreams?.find(s => s.Type === 'Video');
-    const audioStreamInfo = mediaSource.MediaStreams?.find(s => s.Type === 'Audio');
-    const browserPlayable = !isBrowserClient ? true : (() => {
-      const containerName = (mediaSource.Container || '').toLowerCase();
-      const videoCodecName = (videoStreamInfo?.Codec || '').toLowerCase();
-      const audioCodecName = (audioStreamInfo?.Codec || 'aac').toLowerCase();
-      const allowedContainers = new Set(['mp4', 'webm']);
-      const allowedVideoCodecs = new Set(['h264', 'vp9', 'av1']);
-      const allowedAudioCodecs = new Set(['aac', 'mp3', 'opus', 'vorbis']);
-      return allowedContainers.has(containerName) &&
-        allowedVideoCodecs.has(videoCodecName) &&
-        allowedAudioCodecs.has(audioCodecName);
-    })();
-    const shouldForceTranscode = (isBrowserClient && !browserPlayable) || quality !== 'auto';
+    const directPlayCheck = checkDirectPlay(profile, mediaSource, videoStreamInfo, tracks.audio);
+    // HDR on an SDR-only profile cannot be direct played or remuxed; the transcode tone maps it
+    const toneMapped = !!videoStreamInfo && !supportsVideoRange(profile, videoStreamInfo);
+    // Image-based subtitles can only be shown by burning them into the video
+    const burnSubtitles = !!tracks.subtitle &&
+      (!isTextSubtitle(tracks.subtitle) || req.query.burnSubtitles === 'true');
+    const directPlayFailure = directPlayFailures.get(`${itemId}:${mediaSourceId}`);
+    const shouldForceTranscode = quality !== 'auto' || burnSubtitles || !!directPlayFailure;
 
     const baseParams = {
       UserId: auth.userId,
       DeviceId: 'jellyfin-resonite-api',
-      api_key: auth.token,
       PlaySessionId: playSessionId,
       MediaSourceId: mediaSourceId
     };
+    if (tracks.audio) {
+      baseParams.AudioStreamIndex = tracks.audio.Index;
+    }
+
+    // Static files cannot start mid-way; every other mode lets Jellyfin seek for us
+    const seekParams = start.ticks > 0 ? { StartTimeTicks: start.ticks } : {};
+
+    // Text subtitles ride along as an HLS rendition unless they are being burned in
+    const hlsSubtitleParams = tracks.subtitle && !burnSubtitles
+      ? { SubtitleStreamIndex: tracks.subtitle.Index, SubtitleMethod: 'Hls' }
+      : {};
+
+    // master.m3u8 needs codec hints even when the source streams can be copied as-is
+    const copyHlsParams = new URLSearchParams({
+      ...baseParams,
+      ...seekParams,
+      ...hlsSubtitleParams,
+      VideoCodec: videoCodec,
+      AudioCodec: audioCodec,
+      SegmentContainer: 'ts',
+      AllowVideoStreamCopy: 'true',
+      AllowAudioStreamCopy: 'true'
+    });
+
+    // A static file always plays its default audio track, so another track needs a remux
+    const canDirectPlay = mediaSource.SupportsDirectPlay && directPlayCheck.directPlay && !tracks.audioChanged;
+    const canDirectStream = mediaSource.SupportsDirectStream && directPlayCheck.directStream;
 
-    if (mediaSource.SupportsDirectPlay && quality === 'auto' && !shouldForceTranscode) {
+    if (canDirectPlay && quality === 'auto' && !shouldForceTranscode) {
       const directParams = new URLSearchParams({ ...baseParams, Static: 'true' });
       directUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/stream?${directParams.toString()}`;
-      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${directParams.toString()}`;
+      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${copyHlsParams.toString()}`;
       streamUrl = directUrl;
       isDirectPlay = true;
-    } else if (mediaSource.SupportsDirectStream && !shouldForceTranscode) {
-      const streamParams = new URLSearchParams({ ...baseParams, Container: container });
+      playMethod = 'DirectPlay';
+    } else if (canDirectStream && !shouldForceTranscode) {
+      const streamParams = new URLSearchParams({ ...baseParams, ...seekParams, Container: container });
       directUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/stream?${streamParams.toString()}`;
-      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${streamParams.toString()}`;
+      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${copyHlsParams.toString()}`;
       streamUrl = directUrl;
-      transcodeReasons.push('Container remux');
+      playMethod = 'DirectStream';
+      transcodeReasons.push(tracks.audioChanged ? 'Audio track selection' : 'Container remux');
     } else {
       const transcodeParams = {
         ...baseParams,
+        ...seekParams,
         VideoCodec: videoCodec,
         AudioCodec: audioCodec,
         Container: container,
         MaxWidth: maxWidth,
         MaxHeight: maxHeight,
         VideoBitrate: videoBitrate,
-        AudioChannels: audioChannels
+        AudioChannels: audioChannels,
+        ...(toneMapped ? buildToneMapParams(videoCodec) : {})
       };
+      if (burnSubtitles) {
+        transcodeParams.SubtitleStreamIndex = tracks.subtitle.Index;
+        transcodeParams.SubtitleMethod = 'Encode';
+      }
 
       switch (quality) {
         case 'low':
@@ -139,136 +285,160 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
           break;
       }
 
+      streamBitrate = parseInt(transcodeParams.VideoBitrate) || streamBitrate;
       const paramString = new URLSearchParams(transcodeParams).toString();
-      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${paramString}`;
+      const hlsParamString = new URLSearchParams({ ...transcodeParams, ...hlsSubtitleParams }).toString();
+      hlsUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/master.m3u8?${hlsParamString}`;
       directUrl = `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/stream?${paramString}`;
       streamUrl = hlsUrl;
-      transcodeReasons = mediaSource.TranscodingInfo?.TranscodeReasons || ['Full transcode required'];
+      // A remembered upstream failure explains the transcode by itself
+      transcodeReasons = directPlayCheck.reasons.length > 0
+        ? [...directPlayCheck.reasons]
+        : mediaSource.TranscodingInfo?.TranscodeReasons || (directPlayFailure ? [] : ['Full transcode required']);
       if (quality !== 'auto') {
         transcodeReasons = [...transcodeReasons, `Quality override: ${quality}`];
       }
+      if (burnSubtitles) {
+        transcodeReasons = [...transcodeReasons, 'Subtitle burn-in'];
+      }
+      if (directPlayFailure) {
+        transcodeReasons = [...transcodeReasons, directPlayFailure];
+      }
     }
 
-    if (format === 'hls') {
-      console.log(`HLS requested for ${itemId}, redirecting to direct stream`);
-      return res.redirect(directUrl);
-    }
+    const beginSession = () => beginPlaybackSession(req, {
+      playSessionId,
+      itemId,
+      itemName: item.Name,
+      mediaSourceId,
+      audioStreamIndex: tracks.audio?.Index,
+      subtitleStreamIndex: tracks.subtitle?.Index,
+      playMethod,
+      startPositionTicks: start.ticks,
+      runTimeTicks: item.RunTimeTicks || 0,
+      // Only a static file maps byte offsets onto the timeline
+      sizeBytes: isDirectPlay ? mediaSource.Size || 0 : 0,
+      bitrate: streamBitrate,
+      quality,
+      profile: profile.name,
+      isDirectPlay,
+      transcodeReasons
+    });
 
-    if (format === 'direct') {
-      const sessionId = `stream-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-      const streamInfo = {
+    if (format === 'hls') {
+      const masterPath = hlsUrl.replace(process.env.JELLYFIN_SERVER, '');
+      const masterResponse = await axios.get(masterPath, { responseType: 'text' });
+      const playlist = rewritePlaylist(masterResponse.data, {
+        playlistPath: masterPath,
         itemId,
-        itemName: item.Name,
-        startTime: Date.now(),
-        quality,
-        bitrate: parseInt(videoBitrate),
-        userAgent: req.get('User-Agent') || 'Unknown',
-        clientIP: req.ip || req.socket?.remoteAddress,
-        isDirectPlay,
-        transcodeReasons,
-        playSessionId,
-        mediaSourceId
-      };
-
-      const stats = req.app.locals.serverStats;
-      if (stats) {
-        stats.streamCount++;
-        stats.activeStreams.set(sessionId, streamInfo);
-      }
+        proxyBase: `${req.baseUrl}/${itemId}/segments`,
+        extraParams: { token: req.query.token }
+      });
 
-      console.log(`Stream session ${sessionId} started for ${item.Name}`);
+      beginSession();
+      console.log(`HLS master playlist for ${itemId} served through segment proxy`);
+      return res.set(PLAYLIST_HEADERS).send(playlist);
+    }
 
-      // Set up cleanup BEFORE starting the stream
-      const cleanup = () => {
-        if (stats?.activeStreams.has(sessionId)) {
-          const duration = Date.now() - streamInfo.startTime;
-          console.log(`Stream session ${sessionId} ended after ${Math.round(duration / 1000)}s`);
-          stats.activeStreams.delete(sessionId);
-        }
-      };
+    if (format === 'direct') {
+      const session = beginSession();
 
-      req.on('close', cleanup);
-      req.on('error', cleanup);
+      // Retry a failed direct play or remux once as a safe transcode
+      const fallback = playMethod === 'Transcode' ? null : async (error) => {
+        const reason = `${isDirectPlay ? 'Direct play' : 'Direct stream'} failed: ${describeUpstreamError(error)}`;
+        const safe = getFallbackTranscode(profile);
 
-      try {
-        const range = req.headers.range;
-        const streamResponse = await axios.get(directUrl.replace(process.env.JELLYFIN_SERVER, ''), {
-          responseType: 'stream',
-          timeout: 0,
-          headers: range ? { Range: range } : undefined,
-          validateStatus: status => status >= 200 && status < 400
+        const fallbackInfo = await axios.post(`/Items/${itemId}/PlaybackInfo`, {
+          UserId: auth.userId,
+          MediaSourceId: mediaSourceId,
+          MaxStreamingBitrate: safe.bitrate,
+          AudioStreamIndex: tracks.audio?.Index,
+          EnableDirectPlay: false,
+          EnableDirectStream: false,
+          EnableTranscoding: true,
+          DeviceProfile: buildJellyfinDeviceProfile({ ...profile, ...safe, maxBitrate: safe.bitrate }, safe)
         });
-
-        const responseHeaders = {
-          'Content-Type': streamResponse.headers['content-type'] || 'video/mp4',
-          'Accept-Ranges': 'bytes',
-          'Cache-Control': 'public, max-age=3600',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Range',
-          'Access-Control-Expose-Headers': 'Content-Length, Content-Range'
-        };
-
-        if (streamResponse.headers['content-length']) {
-          responseHeaders['Content-Length'] = streamResponse.headers['content-length'];
+        const fallbackSource = fallbackInfo.data.MediaSources?.find(ms => ms.Id === mediaSourceId);
+        if (!fallbackSource?.SupportsTranscoding) {
+          throw new Error(`${reason}; Jellyfin cannot transcode this media source`);
         }
-        if (streamResponse.headers['content-range']) {
-          responseHeaders['Content-Range'] = streamResponse.headers['content-range'];
-        }
-
-        res.status(streamResponse.status).set(responseHeaders);
-
-        const abortUpstream = () => {
-          if (!streamResponse.data.destroyed) {
-            streamResponse.data.destroy();
-          }
-        };
 
-        req.on('aborted', abortUpstream);
-        res.on('close', abortUpstream);
-
-        let bytesTransferred = 0;
-        streamResponse.data.on('data', (chunk) => {
-          bytesTransferred += chunk.length;
-          if (stats) {
-            stats.totalBandwidth += chunk.length;
-          }
-          if (stats?.activeStreams.has(sessionId)) {
-            streamInfo.bytesTransferred = bytesTransferred;
-          }
-        });
+        directPlayFailures.set(`${itemId}:${mediaSourceId}`, reason);
+        session.playMethod = 'Transcode';
+        session.isDirectPlay = false;
+        session.sizeBytes = 0;
+        session.bitrate = safe.bitrate;
+        session.fallbackReason = reason;
+        session.transcodeReasons = [...(session.transcodeReasons || []), reason];
+        console.warn(`${reason} for ${itemId}; retrying as a ${safe.maxHeight}p ${safe.videoCodec} transcode`);
 
-        // Handle stream errors
-        streamResponse.data.on('error', (err) => {
-          if (!res.headersSent) {
-            console.error(`Stream error for ${itemId}:`, err.message);
-          }
-          cleanup();
+        // A direct-play client seeks itself, so only a remux had the start offset applied upstream
+        const fallbackParams = new URLSearchParams({
+          ...baseParams,
+          ...(isDirectPlay ? {} : seekParams),
+          VideoCodec: safe.videoCodec,
+          AudioCodec: safe.audioCodec,
+          Container: safe.container,
+          MaxWidth: safe.maxWidth,
+          MaxHeight: safe.maxHeight,
+          VideoBitrate: safe.bitrate,
+          AudioChannels: safe.audioChannels,
+          ...(toneMapped ? buildToneMapParams(safe.videoCodec) : {})
         });
+        return `/Videos/${itemId}/stream?${fallbackParams.toString()}`;
+      };
 
-        streamResponse.data.pipe(res);
-        return;
-
-      } catch (streamError) {
-        cleanup();
-        console.error('Direct stream proxy error:', streamError.message);
-        return res.status(500).json({
-          error: 'Failed to proxy video stream',
-          details: streamError.message
-        });
-      }
+      return proxyProgressiveStream(req, res, {
+        axios,
+        upstreamPath: directUrl.replace(process.env.JELLYFIN_SERVER, ''),
+        session,
+        contentType: 'video/mp4',
+        label: 'video',
+        fallback
+      });
     }
 
-    // Default: return metadata JSON
+    // Default: return metadata JSON with bridge URLs carrying a scoped stream token
+    const token = issueStreamToken({ itemId, mediaSourceId, playSessionId, clientId: getClientId(req) });
+    const { format: _format, token: _token, apiKey: _apiKey, ...requestQuery } = req.query;
+    const streamQuery = {
+      ...requestQuery,
+      mediaSourceId,
+      audioStreamIndex: tracks.audio?.Index,
+      subtitleStreamIndex: tracks.subtitle ? tracks.subtitle.Index : -1,
+      startAt: start.ticks > 0 ? start.seconds : undefined
+    };
+    const streamPath = `${req.baseUrl}/${itemId}`;
+    const publicDirectUrl = buildBridgeUrl(req, streamPath, { ...streamQuery, format: 'direct', token });
+    const publicHlsUrl = buildBridgeUrl(req, streamPath, { ...streamQuery, format: 'hls', token });
+
     const videoStream = mediaSource.MediaStreams?.find(s => s.Type === 'Video');
-    const audioStream = mediaSource.MediaStreams?.find(s => s.Type === 'Audio');
+    const audioStream = tracks.audio;
+    const audioStreams = mediaSource.MediaStreams?.filter(s => s.Type === 'Audio') || [];
     const subtitleStreams = mediaSource.MediaStreams?.filter(s => s.Type === 'Subtitle') || [];
+    const segments = await segmentsPromise;
 
     res.json({
-      streamUrl,
-      hlsUrl,
-      directUrl,
+      streamUrl: streamUrl === hlsUrl ? publicHlsUrl : publicDirectUrl,
+      hlsUrl: publicHlsUrl,
+      directUrl: publicDirectUrl,
       directPlay: isDirectPlay,
       transcodeReasons,
+      profile: profile.name,
+      startPosition: {
+        seconds: start.seconds,
+        ticks: start.ticks,
+        source: start.source,
+        // Direct play serves the file from the beginning, so the player has to seek itself
+        seekTo: isDirectPlay ? start.seconds : 0
+      },
+      segments,
+      toneMapping: {
+        applied: toneMapped,
+        sourceRange: videoStream?.VideoRangeType || videoStream?.VideoRange || 'SDR',
+        profileRanges: profile.videoRangeTypes,
+        override: req.query.tonemap === 'true' || req.query.tonemap === 'false' ? req.query.tonemap === 'true' : null
+      },
       item: {
         id: item.Id,
         name: item.Name,
@@ -288,7 +458,8 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
         fps: videoStream?.RealFrameRate || videoStream?.AverageFrameRate || 0,
         aspectRatio: videoStream?.AspectRatio,
         colorSpace: videoStream?.ColorSpace,
-        colorRange: videoStream?.ColorRange
+        colorRange: videoStream?.ColorRange,
+        ...describeVrVideo(item, mediaSource, videoStream)
       },
       audio: {
         codec: audioStream?.Codec || 'unknown',
@@ -297,21 +468,58 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
         sampleRate: audioStream?.SampleRate || 0,
         bitrate: audioStream?.BitRate || 0,
         language: audioStream?.Language || 'unknown',
-        title: audioStream?.Title
+        title: audioStream?.Title,
+        index: audioStream?.Index
       },
-      subtitles: subtitleStreams.map(sub => ({
-        index: sub.Index,
-        language: sub.Language || 'unknown',
-        title: sub.Title || sub.DisplayTitle,
-        codec: sub.Codec,
-        isDefault: sub.IsDefault,
-        isForced: sub.IsForced,
-        downloadUrl: sub.DeliveryUrl
-          ? `${process.env.JELLYFIN_SERVER}${sub.DeliveryUrl}`
-          : `${process.env.JELLYFIN_SERVER}/Videos/${itemId}/${mediaSource.Id}/Subtitles/${sub.Index}/Stream.${sub.Codec}?api_key=${auth.token}`
+      audioTracks: audioStreams.map(track => ({
+        index: track.Index,
+        language: track.Language || 'unknown',
+        title: track.Title || track.DisplayTitle,
+        codec: track.Codec,
+        channels: track.Channels || 0,
+        isDefault: !!track.IsDefault,
+        isSelected: track.Index === audioStream?.Index
       })),
+      selectedTracks: {
+        audioStreamIndex: tracks.audio ? tracks.audio.Index : null,
+        audioLanguage: tracks.audio?.Language || null,
+        subtitleStreamIndex: tracks.subtitle ? tracks.subtitle.Index : null,
+        subtitleLanguage: tracks.subtitle?.Language || null
+      },
+      subtitles: subtitleStreams.map(sub => {
+        const subtitlePath = `${streamPath}/subtitles/${sub.Index}`;
+        const isText = isTextSubtitle(sub);
+        return {
+          index: sub.Index,
+          language: sub.Language || 'unknown',
+          title: sub.Title || sub.DisplayTitle,
+          codec: sub.Codec,
+          isDefault: sub.IsDefault,
+          isForced: sub.IsForced,
+          isSelected: sub.Index === tracks.subtitle?.Index,
+          isText,
+          requiresBurnIn: !isText,
+          downloadUrl: isText
+            ? buildBridgeUrl(req, `${subtitlePath}/stream.${getSourceFormat(sub.Codec)}`, { token })
+            : null,
+          vttUrl: isText ? buildBridgeUrl(req, `${subtitlePath}/stream.vtt`, { token }) : null,
+          cuesUrl: isText ? buildBridgeUrl(req, `${subtitlePath}/cues`, { token }) : null,
+          burnInUrl: isText ? null : buildBridgeUrl(req, streamPath, {
+            ...streamQuery,
+            subtitleStreamIndex: sub.Index,
+            format: 'hls',
+            token
+          })
+        };
+      }),
+      mediaSources: (item.MediaSources?.length ? item.MediaSources : availableSources).map(source => ({
+        ...mapMediaSource(source),
+        isSelected: source.Id === mediaSourceId
+      })),
+      trickplayUrl: buildBridgeUrl(req, `${streamPath}/trickplay`, { mediaSourceId }),
       mediaSource: {
         id: mediaSource.Id,
+        name: mediaSource.Name,
         container: mediaSource.Container,
         size: mediaSource.Size,
         bitrate: mediaSource.Bitrate,
@@ -320,10 +528,15 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
         supportsTranscoding: mediaSource.SupportsTranscoding
       },
       playbackInfo: {
-        playSessionId: playbackInfo.data.PlaySessionId,
+        playSessionId,
         userId: auth.userId,
-        itemId
-      }
+        itemId,
+        mediaSourceId,
+        audioStreamIndex: tracks.audio ? tracks.audio.Index : null,
+        subtitleStreamIndex: tracks.subtitle ? tracks.subtitle.Index : null,
+        startPositionTicks: start.ticks
+      },
+      token
     });
 
   } catch (error) {
@@ -340,30 +553,286 @@ router.get('/:itemId', ensureAuth, async (req, res) => {
 });
 
 /**
- * Proxy HLS segments from Jellyfin
+ * Stream a music track through Jellyfin's universal audio endpoint
+ * GET /api/stream/:itemId/audio
+ */
+router.get('/:itemId/audio', ensureAuth, requireTokenForProxy, limitConcurrentStreams, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { format, client } = req.query;
+    const output = getAudioOutput(req.query.codec || 'mp3');
+    if (!output) {
+      return res.status(400).json({
+        error: 'Unsupported audio codec',
+        details: 'codec must be one of: mp3, aac, opus, ogg'
+      });
+    }
+    const maxBitrate = parseInt(req.query.maxBitrate) || DEFAULT_AUDIO_BITRATE;
+    const profile = getDeviceProfile(client);
+
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const itemResponse = await axios.get(`/Users/${auth.userId}/Items/${itemId}`);
+    const item = itemResponse.data;
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (item.MediaType !== 'Audio') {
+      return res.status(400).json({ error: 'Item is not an audio item', type: item.Type });
+    }
+
+    const start = resolveStartPosition(req.query, item);
+    const requestedSourceId = req.streamToken?.mediaSourceId || req.query.mediaSourceId;
+
+    const playbackInfo = await axios.post(`/Items/${itemId}/PlaybackInfo`, {
+      UserId: auth.userId,
+      MediaSourceId: requestedSourceId,
+      MaxStreamingBitrate: maxBitrate,
+      StartTimeTicks: start.ticks || undefined,
+      DeviceProfile: buildJellyfinAudioProfile(profile, output, maxBitrate)
+    });
+
+    const availableSources = playbackInfo.data.MediaSources || [];
+    const mediaSource = requestedSourceId
+      ? availableSources.find(ms => ms.Id === requestedSourceId)
+      : availableSources[0];
+    if (!mediaSource) {
+      return requestedSourceId
+        ? res.status(404).json({ error: 'Media source not found', mediaSourceId: requestedSourceId })
+        : res.status(400).json({ error: 'No media source available' });
+    }
+
+    const playSessionId = req.streamToken?.playSessionId || playbackInfo.data.PlaySessionId;
+    const mediaSourceId = mediaSource.Id;
+    const audioStream = mediaSource.MediaStreams?.find(s => s.Type === 'Audio');
+    const directPlayCheck = checkAudioDirectPlay(profile, mediaSource, audioStream, maxBitrate);
+    const isDirectPlay = directPlayCheck.directPlay && mediaSource.SupportsDirectPlay !== false;
+
+    // Offering only the output container makes the universal endpoint transcode
+    const universalParams = {
+      UserId: auth.userId,
+      DeviceId: 'jellyfin-resonite-api',
+      PlaySessionId: playSessionId,
+      MediaSourceId: mediaSourceId,
+      Container: isDirectPlay ? profile.audioContainers.join(',') : output.container,
+      TranscodingContainer: output.container,
+      TranscodingProtocol: 'http',
+      AudioCodec: output.codec,
+      MaxStreamingBitrate: maxBitrate,
+      AudioBitRate: maxBitrate,
+      MaxAudioChannels: profile.maxAudioChannels,
+      EnableRedirection: 'false',
+      EnableRemoteMedia: 'false'
+    };
+    if (!isDirectPlay && start.ticks > 0) {
+      universalParams.StartTimeTicks = start.ticks;
+    }
+
+    if (format === 'direct') {
+      return proxyProgressiveStream(req, res, {
+        axios,
+        upstreamPath: `/Audio/${itemId}/universal?${new URLSearchParams(universalParams).toString()}`,
+        session: beginPlaybackSession(req, {
+          playSessionId,
+          itemId,
+          itemName: item.Name,
+          mediaSourceId,
+          audioStreamIndex: audioStream?.Index,
+          playMethod: isDirectPlay ? 'DirectPlay' : 'Transcode',
+          startPositionTicks: start.ticks,
+          runTimeTicks: item.RunTimeTicks || 0,
+          sizeBytes: isDirectPlay ? mediaSource.Size || 0 : 0,
+          bitrate: isDirectPlay ? mediaSource.Bitrate || 0 : maxBitrate,
+          quality: output.name,
+          profile: profile.name,
+          isDirectPlay,
+          transcodeReasons: isDirectPlay ? [] : directPlayCheck.reasons
+        }),
+        contentType: isDirectPlay ? 'application/octet-stream' : output.mimeType,
+        label: 'audio'
+      });
+    }
+
+    // Default: return metadata JSON with a bridge URL carrying a scoped stream token
+    const token = issueStreamToken({ itemId, mediaSourceId, playSessionId, clientId: getClientId(req) });
+    const { format: _format, token: _token, apiKey: _apiKey, ...requestQuery } = req.query;
+    const streamUrl = buildBridgeUrl(req, `${req.baseUrl}/${itemId}/audio`, {
+      ...requestQuery,
+      codec: output.name,
+      maxBitrate,
+      mediaSourceId,
+      startAt: start.ticks > 0 ? start.seconds : undefined,
+      format: 'direct',
+      token
+    });
+
+    res.json({
+      streamUrl,
+      directPlay: isDirectPlay,
+      transcodeReasons: isDirectPlay ? [] : directPlayCheck.reasons,
+      profile: profile.name,
+      output: {
+        codec: isDirectPlay ? audioStream?.Codec : output.codec,
+        container: isDirectPlay ? mediaSource.Container : output.container,
+        mimeType: isDirectPlay ? null : output.mimeType,
+        maxBitrate
+      },
+      startPosition: {
+        seconds: start.seconds,
+        ticks: start.ticks,
+        source: start.source,
+        seekTo: isDirectPlay ? start.seconds : 0
+      },
+      item: {
+        id: item.Id,
+        name: item.Name,
+        duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
+        album: item.Album,
+        albumId: item.AlbumId,
+        artists: item.Artists || [],
+        albumArtist: item.AlbumArtist,
+        trackNumber: item.IndexNumber,
+        discNumber: item.ParentIndexNumber,
+        year: item.ProductionYear,
+        thumbnail: buildImageUrl(item, 'Primary', 300)
+      },
+      audio: {
+        codec: audioStream?.Codec || 'unknown',
+        channels: audioStream?.Channels || 0,
+        sampleRate: audioStream?.SampleRate || 0,
+        bitDepth: audioStream?.BitDepth,
+        bitrate: audioStream?.BitRate || mediaSource.Bitrate || 0
+      },
+      mediaSource: {
+        id: mediaSource.Id,
+        container: mediaSource.Container,
+        size: mediaSource.Size,
+        bitrate: mediaSource.Bitrate
+      },
+      playbackInfo: {
+        playSessionId,
+        userId: auth.userId,
+        itemId,
+        mediaSourceId,
+        startPositionTicks: start.ticks
+      },
+      token
+    });
+
+  } catch (error) {
+    console.error('Audio stream error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Audio item not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get audio stream',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Proxy HLS variant playlists and segments from Jellyfin
  * GET /api/stream/:itemId/segments/*
  */
-router.get('/:itemId/segments/*', ensureAuth, async (req, res) => {
+router.get('/:itemId/segments/*', ensureAuth, requireStreamToken, limitConcurrentStreams, async (req, res) => {
   try {
     const { itemId } = req.params;
     const segmentPath = req.params[0];
+    const upstreamPath = resolveVideoPath(itemId, segmentPath, req.streamToken.mediaSourceId);
+    if (!upstreamPath) {
+      return res.status(400).json({ error: 'Invalid segment path' });
+    }
+    const { token, ...query } = req.query;
+    const upstreamParams = pinToStreamToken(stripCredentials(query), req.streamToken);
 
     const stats = req.app.locals.serverStats;
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const axios = await getAuthenticatedAxios(req);
+
+    // Segment URLs carry their start time, which is the best position estimate HLS gives us
+    const runtimeTicks = parseInt(query.runtimeTicks);
+    if (!touchPlaybackSession(req.streamToken.playSessionId, runtimeTicks)) {
+      // A pause past PLAYBACK_IDLE_TIMEOUT ended the session; limitConcurrentStreams admitted it again
+      if (!resumePlaybackSession(req.streamToken.playSessionId, runtimeTicks)) {
+        return res.status(410).json({
+          error: 'Playback session has ended',
+          details: 'Request the stream again to start a new session'
+        });
+      }
+      req.releaseStreamSlot?.();
+    }
+
+    // Variant playlists are rewritten so their segments come back through this route
+    if (isPlaylistPath(segmentPath)) {
+      const playlistResponse = await axios.get(upstreamPath, {
+        params: upstreamParams,
+        responseType: 'text',
+        timeout: 30000
+      });
+      const query = new URLSearchParams(upstreamParams).toString();
+      const playlist = rewritePlaylist(playlistResponse.data, {
+        playlistPath: query ? `${upstreamPath}?${query}` : upstreamPath,
+        itemId,
+        proxyBase: `${req.baseUrl}/${itemId}/segments`,
+        extraParams: { token }
+      });
+      return res.set(PLAYLIST_HEADERS).send(playlist);
+    }
+
+    // Viewers of the same stream share segments; one upstream fetch serves all concurrent requests
+    if (isSegmentCacheEnabled()) {
+      const cacheKey = buildSegmentKey(itemId, req.streamToken.mediaSourceId, segmentPath, upstreamParams);
+      const segment = await getSegment(cacheKey, async () => {
+        const upstream = await axios.get(upstreamPath, {
+          params: upstreamParams,
+          responseType: 'arraybuffer',
+          timeout: 30000
+        });
+        return { data: Buffer.from(upstream.data), contentType: upstream.headers['content-type'] };
+      });
 
-    const segmentResponse = await axios.get(`/Videos/${itemId}/${segmentPath}`, {
-      params: { api_key: auth.token },
+      res.set({
+        'Content-Type': segment.contentType || 'video/mp2t',
+        'Content-Length': segment.size,
+        'Cache-Control': 'public, max-age=3600',
+        'Access-Control-Allow-Origin': '*',
+        'X-Cache': segment.status
+      });
+      if (stats) {
+        stats.totalBandwidth += segment.size;
+      }
+
+      if (segment.data) {
+        return res.end(segment.data);
+      }
+      // The file is already open, so an eviction while it is piped cannot cut the response short
+      res.on('close', () => segment.stream.destroy());
+      return segment.stream
+        .on('error', (err) => {
+          console.error(`Cached segment read error for ${itemId}:`, err.message);
+          res.destroy(err);
+        })
+        .pipe(res);
+    }
+
+    const segmentResponse = await axios.get(upstreamPath, {
+      params: upstreamParams,
       responseType: 'stream',
       timeout: 30000
     });
 
-    res.set({
+    const responseHeaders = {
       'Content-Type': segmentResponse.headers['content-type'] || 'video/mp2t',
-      'Content-Length': segmentResponse.headers['content-length'],
       'Cache-Control': 'public, max-age=3600',
       'Access-Control-Allow-Origin': '*'
-    });
+    };
+    if (segmentResponse.headers['content-length']) {
+      responseHeaders['Content-Length'] = segmentResponse.headers['content-length'];
+    }
+    res.set(responseHeaders);
 
     segmentResponse.data.on('data', (chunk) => {
       if (stats) {
@@ -375,17 +844,263 @@ router.get('/:itemId/segments/*', ensureAuth, async (req, res) => {
       console.error(`Segment stream error for ${itemId}:`, err.message);
     });
 
+    res.on('close', () => {
+      if (!segmentResponse.data.destroyed) {
+        segmentResponse.data.destroy();
+      }
+    });
+
     segmentResponse.data.pipe(res);
 
   } catch (error) {
     console.error('Segment proxy error:', error.message);
-    res.status(500).json({
+    res.status(error.response?.status === 404 ? 404 : 500).json({
       error: 'Failed to proxy segment',
       details: error.message
     });
   }
 });
 
+/**
+ * Convert a text subtitle track into cues and hand them to a renderer.
+ * Image-based tracks get a 422 with a stream URL that burns them in instead.
+ */
+function subtitleConversionHandler(render) {
+  return async (req, res) => {
+    try {
+      const { itemId } = req.params;
+      const streamIndex = parseInt(req.params.streamIndex);
+      const { mediaSourceId } = req.streamToken;
+      const auth = await getAuthData(req);
+      const axios = await getAuthenticatedAxios(req);
+
+      const itemResponse = await axios.get(`/Users/${auth.userId}/Items/${itemId}`, {
+        params: { Fields: 'MediaSources' }
+      });
+      const mediaSource = itemResponse.data.MediaSources?.find(ms => ms.Id === mediaSourceId) ||
+        itemResponse.data.MediaSources?.[0];
+      const subtitle = mediaSource?.MediaStreams?.find(s => s.Type === 'Subtitle' && s.Index === streamIndex);
+
+      if (!subtitle) {
+        return res.status(404).json({ error: 'Subtitle track not found' });
+      }
+
+      if (!isTextSubtitle(subtitle)) {
+        return res.status(422).json({
+          error: 'Subtitle track requires burn-in',
+          details: `${subtitle.Codec} is an image-based subtitle format and cannot be converted to text`,
+          burnInUrl: buildBridgeUrl(req, `${req.baseUrl}/${itemId}`, {
+            subtitleStreamIndex: streamIndex,
+            format: 'hls',
+            token: req.query.token
+          })
+        });
+      }
+
+      const sourceFormat = getSourceFormat(subtitle.Codec);
+      const subtitleResponse = await axios.get(
+        `/Videos/${itemId}/${mediaSource.Id}/Subtitles/${streamIndex}/Stream.${sourceFormat}`,
+        { responseType: 'text', timeout: 30000 }
+      );
+
+      const cues = parseSubtitles(subtitleResponse.data, sourceFormat);
+      render(res, cues, subtitle);
+
+    } catch (error) {
+      console.error('Subtitle conversion error:', error.message);
+      res.status(error.response?.status === 404 ? 404 : 500).json({
+        error: 'Failed to convert subtitle',
+        details: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Serve a text subtitle track as WebVTT
+ * GET /api/stream/:itemId/subtitles/:streamIndex/stream.vtt
+ */
+router.get('/:itemId/subtitles/:streamIndex/stream.vtt', ensureAuth, requireStreamToken,
+  subtitleConversionHandler((res, cues) => {
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*'
+    }).send(toWebVtt(cues));
+  })
+);
+
+/**
+ * Get a text subtitle track as a JSON cue timeline with styling stripped
+ * GET /api/stream/:itemId/subtitles/:streamIndex/cues
+ */
+router.get('/:itemId/subtitles/:streamIndex/cues', ensureAuth, requireStreamToken,
+  subtitleConversionHandler((res, cues, subtitle) => {
+    res.json({
+      streamIndex: subtitle.Index,
+      language: subtitle.Language || 'unknown',
+      title: subtitle.Title || subtitle.DisplayTitle,
+      count: cues.length,
+      cues
+    });
+  })
+);
+
+/**
+ * Proxy a subtitle track in its stored format
+ * GET /api/stream/:itemId/subtitles/:streamIndex/stream.:format
+ */
+router.get('/:itemId/subtitles/:streamIndex/stream.:format', ensureAuth, requireStreamToken, async (req, res) => {
+  try {
+    const { itemId, streamIndex, format } = req.params;
+    if (!/^\d+$/.test(streamIndex) || !SUBTITLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid subtitle request',
+        details: `The stream index must be a number and the format one of: ${SUBTITLE_FORMATS.join(', ')}`
+      });
+    }
+    const { mediaSourceId } = req.streamToken;
+    const axios = await getAuthenticatedAxios(req);
+
+    const subtitleResponse = await axios.get(
+      `/Videos/${itemId}/${encodeURIComponent(mediaSourceId)}/Subtitles/${streamIndex}/Stream.${format}`,
+      { responseType: 'stream', timeout: 30000 }
+    );
+
+    res.set({
+      'Content-Type': subtitleResponse.headers['content-type'] || 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*'
+    });
+    subtitleResponse.data.pipe(res);
+
+  } catch (error) {
+    console.error('Subtitle proxy error:', error.message);
+    res.status(error.response?.status === 404 ? 404 : 500).json({
+      error: 'Failed to proxy subtitle',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get seek bar preview frames: trickplay tile sheets, or chapter images when the item has none
+ * GET /api/stream/:itemId/trickplay
+ */
+router.get('/:itemId/trickplay', ensureAuth, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
+
+    const itemResponse = await axios.get(`/Users/${auth.userId}/Items/${itemId}`, {
+      params: { Fields: 'Trickplay,Chapters,MediaSources' }
+    });
+    const item = itemResponse.data;
+    const mediaSourceId = req.query.mediaSourceId || item.MediaSources?.[0]?.Id || itemId;
+    const duration = item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0;
+
+    // Jellyfin keys trickplay data by media source, then by thumbnail width
+    const trickplay = item.Trickplay?.[mediaSourceId];
+    if (trickplay && Object.keys(trickplay).length > 0) {
+      const token = issueStreamToken({ itemId, mediaSourceId, clientId: getClientId(req) });
+      const resolutions = Object.values(trickplay)
+        .sort((a, b) => a.Width - b.Width)
+        .map(info => {
+          const perSheet = info.TileWidth * info.TileHeight;
+          const sheetCount = Math.ceil(info.ThumbnailCount / perSheet);
+          return {
+            width: info.Width,
+            tileWidth: info.Width,
+            tileHeight: info.Height,
+            columns: info.TileWidth,
+            rows: info.TileHeight,
+            thumbnailsPerSheet: perSheet,
+            thumbnailCount: info.ThumbnailCount,
+            interval: info.Interval / 1000,
+            sheetCount,
+            sheets: Array.from({ length: sheetCount }, (_, index) =>
+              buildBridgeUrl(req, `${req.baseUrl}/${itemId}/trickplay/${info.Width}/${index}.jpg`, { token }))
+          };
+        });
+
+      return res.json({
+        itemId,
+        mediaSourceId,
+        source: 'trickplay',
+        duration,
+        resolutions
+      });
+    }
+
+    const chapters = (item.Chapters || []).map((chapter, index) => ({
+      name: chapter.Name,
+      startTime: Math.round(chapter.StartPositionTicks / 10000000),
+      image: chapter.ImageTag
+        ? `${process.env.JELLYFIN_SERVER}/Items/${itemId}/Images/Chapter/${index}?maxWidth=320&tag=${chapter.ImageTag}`
+        : null
+    }));
+
+    res.json({
+      itemId,
+      mediaSourceId,
+      source: chapters.some(chapter => chapter.image) ? 'chapters' : 'none',
+      duration,
+      chapters
+    });
+
+  } catch (error) {
+    console.error('Trickplay error:', error.message);
+    if (error.response?.status === 404) {
+      res.status(404).json({ error: 'Video not found' });
+    } else {
+      res.status(500).json({
+        error: 'Failed to get trickplay data',
+        details: error.response?.data?.message || error.message
+      });
+    }
+  }
+});
+
+/**
+ * Proxy one trickplay tile sheet
+ * GET /api/stream/:itemId/trickplay/:width/:index.jpg
+ */
+router.get('/:itemId/trickplay/:width/:index.jpg', ensureAuth, requireStreamToken, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const width = parseInt(req.params.width);
+    const index = parseInt(req.params.index);
+    if (isNaN(width) || isNaN(index)) {
+      return res.status(400).json({ error: 'Invalid trickplay sheet' });
+    }
+
+    const axios = await getAuthenticatedAxios(req);
+    const sheetResponse = await axios.get(`/Videos/${itemId}/Trickplay/${width}/${index}.jpg`, {
+      params: { MediaSourceId: req.streamToken.mediaSourceId },
+      responseType: 'stream',
+      timeout: 30000
+    });
+
+    res.set({
+      'Content-Type': sheetResponse.headers['content-type'] || 'image/jpeg',
+      'Cache-Control': 'public, max-age=86400',
+      'Access-Control-Allow-Origin': '*'
+    });
+    if (sheetResponse.headers['content-length']) {
+      res.set('Content-Length', sheetResponse.headers['content-length']);
+    }
+    sheetResponse.data.pipe(res);
+
+  } catch (error) {
+    console.error('Trickplay sheet error:', error.message);
+    res.status(error.response?.status === 404 ? 404 : 500).json({
+      error: 'Failed to proxy trickplay sheet',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Report playback progress
  * POST /api/stream/:itemId/progress
@@ -393,25 +1108,43 @@ router.get('/:itemId/segments/*', ensureAuth, async (req, res) => {
 router.post('/:itemId/progress', ensureAuth, async (req, res) => {
   try {
     const { itemId } = req.params;
-    const { position, isPaused = false, playMethod = 'Transcode', playSessionId } = req.body;
+    const { position, isPaused = false, playMethod, playSessionId } = req.body;
 
     if (typeof position !== 'number' || position < 0) {
       return res.status(400).json({ error: 'Invalid position value' });
     }
 
-    const axios = await getAuthenticatedAxios();
+    // Known sessions take over from their byte-based estimates; unknown ones are (re)started
+    if (playSessionId) {
+      const existing = getPlaybackSession(playSessionId);
+      if (existing && !ownsPlaybackSession(req, existing)) {
+        return rejectForeignSession(res);
+      }
+      const session = existing || startPlaybackSession({
+        playSessionId,
+        itemId,
+        playMethod: playMethod || 'Transcode',
+        clientId: getClientId(req)
+      });
+      const success = await reportClientProgress(session, {
+        positionTicks: Math.round(position * 10000000),
+        isPaused,
+        playMethod
+      });
+      return res.json(success
+        ? { success, position, isPaused }
+        : { success, error: 'Progress report failed' });
+    }
+
+    const axios = await getAuthenticatedAxios(req);
 
     const progressData = {
       ItemId: itemId,
       PositionTicks: Math.round(position * 10000000),
       IsPaused: isPaused,
-      PlayMethod: playMethod
+      PlayMethod: playMethod || 'Transcode'
     };
 
-    if (playSessionId) {
-      progressData.PlaySessionId = playSessionId;
-    }
-
     await axios.post('/Sessions/Playing/Progress', progressData);
     res.json({ success: true, position, isPaused });
 
@@ -432,19 +1165,46 @@ router.post('/:itemId/progress', ensureAuth, async (req, res) => {
 router.post('/:itemId/start', ensureAuth, async (req, res) => {
   try {
     const { itemId } = req.params;
-    const { playSessionId, audioStreamIndex, subtitleStreamIndex } = req.body;
+    const { playSessionId, mediaSourceId, audioStreamIndex, subtitleStreamIndex, position, playMethod } = req.body;
+    const positionTicks = typeof position === 'number' && position > 0 ? Math.round(position * 10000000) : undefined;
+
+    // Sessions are reported once, whether the client or a proxied stream starts them first
+    if (playSessionId) {
+      const existing = getPlaybackSession(playSessionId);
+      if (existing && !ownsPlaybackSession(req, existing)) {
+        return rejectForeignSession(res);
+      }
+      if (existing) {
+        if (positionTicks !== undefined) {
+          await reportClientProgress(existing, { positionTicks });
+        }
+      } else {
+        startPlaybackSession({
+          playSessionId,
+          itemId,
+          mediaSourceId,
+          audioStreamIndex: parseStreamIndex(audioStreamIndex),
+          subtitleStreamIndex: parseStreamIndex(subtitleStreamIndex),
+          playMethod: playMethod || 'Transcode',
+          startPositionTicks: positionTicks || 0,
+          clientId: getClientId(req)
+        });
+      }
+      return res.json({ success: true, audioStreamIndex, subtitleStreamIndex, alreadyStarted: !!existing });
+    }
 
-    const axios = await getAuthenticatedAxios();
+    const axios = await getAuthenticatedAxios(req);
 
     await axios.post('/Sessions/Playing', {
       ItemId: itemId,
       PlaySessionId: playSessionId,
-      MediaSourceId: itemId,
-      AudioStreamIndex: audioStreamIndex,
-      SubtitleStreamIndex: subtitleStreamIndex
+      MediaSourceId: mediaSourceId || itemId,
+      PositionTicks: positionTicks,
+      AudioStreamIndex: parseStreamIndex(audioStreamIndex),
+      SubtitleStreamIndex: parseStreamIndex(subtitleStreamIndex)
     });
 
-    res.json({ success: true });
+    res.json({ success: true, audioStreamIndex, subtitleStreamIndex });
 
   } catch (error) {
     console.error('Playback start error:', error.message);
@@ -464,8 +1224,17 @@ router.post('/:itemId/stop', ensureAuth, async (req, res) => {
   try {
     const { itemId } = req.params;
     const { position, playSessionId } = req.body;
+    const positionTicks = typeof position === 'number' ? Math.round(position * 10000000) : undefined;
+
+    const session = getPlaybackSession(playSessionId);
+    if (session && !ownsPlaybackSession(req, session)) {
+      return rejectForeignSession(res);
+    }
+    if (await stopPlaybackSession(playSessionId, 'client', positionTicks)) {
+      return res.json({ success: true });
+    }
 
-    const axios = await getAuthenticatedAxios();
+    const axios = await getAuthenticatedAxios(req);
 
     await axios.post('/Sessions/Playing/Stopped', {
       ItemId: itemId,
@@ -485,4 +1254,260 @@ router.post('/:itemId/stop', ensureAuth, async (req, res) => {
   }
 });
 
+/**
+ * Check that a playback session was started by the calling client, so one client cannot
+ * report on or stop another's session
+ */
+function ownsPlaybackSession(req, session) {
+  return session.clientId === getClientId(req);
+}
+
+/**
+ * Answer a playback report for a session that belongs to another client
+ */
+function rejectForeignSession(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Playback session belongs to another client'
+  });
+}
+
+/**
+ * Start (or rejoin) the playback session for a proxied stream request
+ * @param {Object} req - Express request
+ * @param {Object} details - Session details for startPlaybackSession
+ * @returns {Object} Session
+ */
+function beginPlaybackSession(req, details) {
+  const stats = req.app.locals.serverStats;
+  const isNew = !getPlaybackSession(details.playSessionId);
+  const session = startPlaybackSession({
+    ...details,
+    userAgent: req.get('User-Agent') || 'Unknown',
+    clientIP: req.ip || req.socket?.remoteAddress,
+    clientId: req.streamClientId
+  });
+  // The session now holds the slot reserved by limitConcurrentStreams
+  req.releaseStreamSlot?.();
+  if (isNew && stats) {
+    stats.streamCount++;
+  }
+  return session;
+}
+
+/**
+ * Proxy a progressive Jellyfin stream with range support, counting bytes against a session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Proxy options
+ * @param {Object} options.axios - Authenticated axios instance
+ * @param {string} options.upstreamPath - Jellyfin path including query
+ * @param {Object} options.session - Playback session from beginPlaybackSession
+ * @param {string} options.contentType - Fallback Content-Type
+ * @param {string} options.label - Media kind used in log and error messages
+ */
+async function proxyProgressiveStream(req, res, { axios, upstreamPath, session, contentType, label, fallback, ignoreRange }) {
+  const stats = req.app.locals.serverStats;
+  // Byte ranges of the original file mean nothing in a transcode
+  const range = ignoreRange ? undefined : req.headers.range;
+  const rangeStart = parseInt(/bytes=(\d+)/.exec(range || '')?.[1]) || 0;
+  const connection = attachConnection(session, rangeStart);
+
+  // Set up cleanup BEFORE starting the stream
+  const cleanup = () => connection.close();
+
+  req.on('close', cleanup);
+  req.on('error', cleanup);
+
+  try {
+    const streamResponse = await axios.get(upstreamPath, {
+      responseType: 'stream',
+      timeout: 0,
+      headers: range ? { Range: range } : undefined,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    const responseHeaders = {
+      'Content-Type': streamResponse.headers['content-type'] || contentType,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, max-age=3600',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Range',
+      'Access-Control-Expose-Headers': 'Content-Length, Content-Range'
+    };
+
+    if (streamResponse.headers['content-length']) {
+      responseHeaders['Content-Length'] = streamResponse.headers['content-length'];
+    }
+    if (streamResponse.headers['content-range']) {
+      responseHeaders['Content-Range'] = streamResponse.headers['content-range'];
+    }
+
+    res.status(streamResponse.status).set(responseHeaders);
+
+    const abortUpstream = () => {
+      if (!streamResponse.data.destroyed) {
+        streamResponse.data.destroy();
+      }
+    };
+
+    req.on('aborted', abortUpstream);
+    res.on('close', abortUpstream);
+
+    streamResponse.data.on('data', (chunk) => {
+      if (stats) {
+        stats.totalBandwidth += chunk.length;
+      }
+      connection.addBytes(chunk.length);
+    });
+
+    // Handle stream errors
+    streamResponse.data.on('error', (err) => {
+      if (!res.headersSent) {
+        console.error(`Stream error for ${session.itemId}:`, err.message);
+      }
+      cleanup();
+    });
+
+    streamResponse.data.pipe(res);
+
+  } catch (streamError) {
+    cleanup();
+    // Error bodies of stream requests are streams too; release the upstream socket
+    streamError.response?.data?.destroy?.();
+
+    let finalError = streamError;
+    const clientGone = !req.socket || req.socket.destroyed;
+    if (fallback && !res.headersSent && !clientGone && streamError.response?.status !== 416) {
+      try {
+        const fallbackPath = await fallback(streamError);
+        return proxyProgressiveStream(req, res, {
+          axios,
+          upstreamPath: fallbackPath,
+          session,
+          contentType,
+          label,
+          ignoreRange: true
+        });
+      } catch (fallbackError) {
+        console.error(`Transcode fallback for ${session.itemId} failed:`, fallbackError.message);
+        finalError = fallbackError;
+      }
+    }
+
+    console.error(`Direct ${label} proxy error:`, streamError.message);
+    res.status(500).json({
+      error: `Failed to proxy ${label} stream`,
+      details: finalError.message
+    });
+  }
+}
+
+/**
+ * Stream parameters that ask Jellyfin for SDR output, so it tone maps HDR sources
+ * (with tone mapping enabled in Jellyfin's transcoding settings)
+ */
+function buildToneMapParams(videoCodec) {
+  return {
+    [`${videoCodec}-rangetype`]: 'SDR',
+    AllowVideoStreamCopy: 'false'
+  };
+}
+
+/**
+ * Summarize why an upstream request failed (HTTP status or network error code)
+ */
+function describeUpstreamError(error) {
+  if (error.response) {
+    return `upstream returned HTTP ${error.response.status}`;
+  }
+  return error.code || error.message;
+}
+
+/**
+ * Parse an optional stream index from a query string or body value
+ */
+function parseStreamIndex(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Work out where playback should start: startAt (seconds) wins over resume=true,
+ * which picks up the user's saved position
+ */
+function resolveStartPosition({ startAt, resume }, item) {
+  const requested = parseFloat(startAt);
+  let ticks = 0;
+  let source = null;
+
+  if (!isNaN(requested) && requested > 0) {
+    ticks = Math.round(requested * 10000000);
+    source = 'startAt';
+  } else if (resume === 'true' && item.UserData?.PlaybackPositionTicks > 0) {
+    ticks = item.UserData.PlaybackPositionTicks;
+    source = 'resume';
+  }
+
+  if (item.RunTimeTicks && ticks >= item.RunTimeTicks) {
+    ticks = 0;
+    source = null;
+  }
+
+  return { ticks, seconds: Math.round(ticks / 10000) / 1000, source };
+}
+
+/**
+ * Check a stream's language code (e.g. "jpn") case-insensitively
+ */
+function matchesLanguage(stream, language) {
+  return (stream.Language || '').toLowerCase() === language;
+}
+
+/**
+ * Pick the audio and subtitle tracks to play from a media source.
+ * Explicit indexes win, then preferred languages, then Jellyfin's defaults.
+ * A subtitle index of -1 turns subtitles off.
+ */
+function selectTracks(mediaSource, { audioStreamIndex, subtitleStreamIndex, audioLanguage, subtitleLanguage }) {
+  const streams = mediaSource.MediaStreams || [];
+  const audioTracks = streams.filter(s => s.Type === 'Audio');
+  const subtitleTracks = streams.filter(s => s.Type === 'Subtitle');
+  const parsePreferences = value => (value || '').toLowerCase().split(',').map(l => l.trim()).filter(Boolean);
+
+  const defaultAudio = audioTracks.find(s => s.Index === mediaSource.DefaultAudioStreamIndex) ||
+    audioTracks.find(s => s.IsDefault) ||
+    audioTracks[0] ||
+    null;
+
+  let audio = audioTracks.find(s => s.Index === audioStreamIndex);
+  if (!audio) {
+    for (const language of parsePreferences(audioLanguage)) {
+      audio = audioTracks.find(s => matchesLanguage(s, language));
+      if (audio) break;
+    }
+  }
+  audio = audio || defaultAudio;
+
+  let subtitle = null;
+  if (subtitleStreamIndex !== undefined) {
+    subtitle = subtitleTracks.find(s => s.Index === subtitleStreamIndex) || null;
+  } else if (subtitleLanguage) {
+    for (const language of parsePreferences(subtitleLanguage)) {
+      const candidates = subtitleTracks.filter(s => matchesLanguage(s, language));
+      subtitle = candidates.find(s => !s.IsForced) || candidates[0] || null;
+      if (subtitle) break;
+    }
+  } else if (mediaSource.DefaultSubtitleStreamIndex >= 0) {
+    subtitle = subtitleTracks.find(s => s.Index === mediaSource.DefaultSubtitleStreamIndex) || null;
+  }
+
+  return {
+    audio,
+    subtitle,
+    audioChanged: !!audio && !!defaultAudio && audio.Index !== defaultAudio.Index
+  };
+}
+
 module.exports = router;
@@ -8,22 +8,70 @@ class AdminDashboard {
         this.activeStreams = [];
         this.videos = [];
         this.REFRESH_RATE = 10000; // 10 seconds
+        // Bridge API key with the admin scope; only needed when BRIDGE_API_KEYS is set
+        this.apiKey = sessionStorage.getItem('bridgeApiKey');
         this.init();
     }
 
     init() {
+        document.getElementById('loginForm')?.addEventListener('submit', event => {
+            event.preventDefault();
+            this.login(document.getElementById('apiKeyInput').value.trim());
+        });
+        this.updateSignOutButton();
         this.showLoading();
         this.loadData();
         this.startAutoRefresh();
         window.addEventListener('beforeunload', () => this.stopAutoRefresh());
     }
 
+    // Fetch an admin route with the stored API key; asks for a key when the bridge refuses it
+    async apiFetch(url) {
+        const response = await fetch(url, {
+            headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {}
+        });
+        if (response.status === 401 || response.status === 403) {
+            const body = await response.json().catch(() => ({}));
+            this.showLogin(this.apiKey ? body.details || body.error : '');
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    showLogin(message) {
+        this.stopAutoRefresh();
+        this.updateElement('loginError', message || '');
+        document.getElementById('loginOverlay')?.classList.remove('hidden');
+        document.getElementById('apiKeyInput')?.focus();
+    }
+
+    login(apiKey) {
+        if (!apiKey) return;
+        this.apiKey = apiKey;
+        sessionStorage.setItem('bridgeApiKey', apiKey);
+        document.getElementById('loginOverlay')?.classList.add('hidden');
+        this.updateSignOutButton();
+        this.loadData();
+        this.startAutoRefresh();
+    }
+
+    signOut() {
+        this.apiKey = null;
+        sessionStorage.removeItem('bridgeApiKey');
+        this.updateSignOutButton();
+        this.showLogin('');
+    }
+
+    updateSignOutButton() {
+        document.getElementById('signOutBtn')?.classList.toggle('hidden', !this.apiKey);
+    }
+
     async loadData() {
         if (this.isLoading) return;
         this.isLoading = true;
 
         try {
-            const response = await fetch('/admin/stats');
+            const response = await this.apiFetch('/admin/stats');
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const data = await response.json();
             this.updateUI(data);
@@ -46,6 +94,7 @@ class AdminDashboard {
         this.updateElement('serverStart', this.formatDate(data.server.startTime));
         this.updateElement('activeStreams', data.streaming.activeStreams);
         this.updateElement('totalStreams', data.streaming.totalStreams);
+        this.updateElement('queuedRequests', data.streaming.queuedRequests);
         this.updateElement('bandwidth', data.streaming.bandwidthFormatted);
         this.updateJellyfinStatus(data.jellyfin);
         this.updateAPIStats(data.api);
@@ -67,6 +116,7 @@ class AdminDashboard {
         this.updateElement('jellyfinVersion', jf.connected ? `v${jf.version}` : jf.error || 'Connection failed');
         this.updateElement('jellyfinServer', jf.server || 'Not configured');
         this.updateElement('jellyfinVersionSystem', jf.connected ? jf.version : 'N/A');
+        this.updateElement('jellyfinAuthMode', jf.authMode === 'apikey' ? 'API key' : 'Password');
     }
 
     updateAPIStats(apiData) {
@@ -106,12 +156,13 @@ class AdminDashboard {
             return `
                 <div class="stream-item">
                     <div class="stream-info">
-                        <h4>Stream ${stream.sessionId.split('-')[1]}</h4>
+                        <h4>Stream ${stream.sessionId.substring(0, 8)}</h4>
                         <div class="stream-details">
                             <span>Duration: ${duration}</span>
                             <span>Bitrate: ${this.formatBitrate(stream.bitrate)}</span>
                             <span>Item: ${stream.itemId.substring(0, 8)}...</span>
                             <span>${transcodeSummary}</span>
+                            ${stream.fallbackReason ? `<span>Fallback: ${stream.fallbackReason}</span>` : ''}
                         </div>
                     </div>
                     <div class="stream-quality">${(stream.quality || 'auto').toUpperCase()}</div>
@@ -163,7 +214,7 @@ class AdminDashboard {
         testEl.querySelector('.test-data')?.remove();
 
         try {
-            const response = await fetch(`/admin/test/${name}`);
+            const response = await this.apiFetch(`/admin/test/${name}`);
             const data = await response.json();
 
             if (data.success) {
@@ -191,7 +242,7 @@ class AdminDashboard {
     // Video Testing
     async loadVideoList() {
         try {
-            const response = await fetch('/admin/test/videos');
+            const response = await this.apiFetch('/admin/test/videos');
             const data = await response.json();
             if (data.success) {
                 this.videos = data.data;
@@ -246,11 +297,11 @@ class AdminDashboard {
         const quality = document.getElementById('qualitySelect')?.value || 'auto';
 
         try {
-            const response = await fetch(`/admin/test/stream/${this.currentVideo.id}?quality=${quality}`);
+            const response = await this.apiFetch(`/admin/test/stream/${this.currentVideo.id}?quality=${quality}`);
             const data = await response.json();
             if (data.success) {
                 this.currentStreamMeta = data.data;
-                this.playVideo(data.data);
+                this.playVideo();
                 this.updateVideoInfo(data.data, this.getTranscodeInfoForItem(this.currentVideo.id));
                 this.logTestResult(`[PLAY] ${this.currentVideo.name} - Quality: ${quality}`, 'success');
             } else {
@@ -263,12 +314,15 @@ class AdminDashboard {
 
     playVideo() {
         const video = document.getElementById('videoPlayer');
-        if (!video || !this.currentVideo) return;
-        const quality = document.getElementById('qualitySelect')?.value || 'auto';
-        video.src = `/api/stream/${this.currentVideo.id}?format=direct&quality=${quality}&client=browser`;
+        if (!video || !this.currentVideo || !this.currentStreamMeta) return;
+        // directUrl carries the quality it was requested with; any quality but auto forces a transcode
+        const { quality, directUrl } = this.currentStreamMeta;
+        video.src = directUrl;
         video.load();
         video.play().catch(() => {});
-        this.logTestResult(`[STREAM] Playing via ${quality === 'auto' ? 'direct' : 'transcoded'} stream`, 'info');
+        this.logTestResult(quality === 'auto'
+            ? '[STREAM] Playing with auto quality (direct play if the browser profile allows it)'
+            : `[STREAM] Playing ${quality} quality transcode`, 'info');
     }
 
     clearPlayer() {
@@ -452,6 +506,10 @@ function clearPlayer() {
     window.dashboard?.clearPlayer();
 }
 
+function signOut() {
+    window.dashboard?.signOut();
+}
+
 function changeVideoQuality() {
     if (window.dashboard?.currentVideo) {
         window.dashboard.playVideoWithQuality();
@@ -9,14 +9,31 @@ const streamRoutes = require('./handling/routes/streams');
 const searchRoutes = require('./endpoints/search');
 const itemRoutes = require('./endpoints/items');
 const movieRoutes = require('./endpoints/movies');
+const musicRoutes = require('./endpoints/music');
+const pairingRoutes = require('./handling/routes/pairing');
 
 // Import middleware
-const { initializeAuth, getAuthData, getAuthenticatedAxios } = require('./entry/middleware/auth');
+const { initializeAuth, getAuthData, getAuthenticatedAxios, getAuthMode, getAuthStats, getAuthFailureStats } = require('./entry/middleware/auth');
+const {
+  issueStreamToken,
+  revokeStreamToken,
+  revokeAllStreamTokens,
+  getStreamTokenStats
+} = require('./entry/middleware/streamTokens');
+const { getStreamLimitStats } = require('./entry/middleware/streamLimits');
+const { negotiateResponseFormat } = require('./entry/middleware/responseFormat');
+const { requireScope, getApiKeyStats } = require('./entry/middleware/apiKeys');
+const { getActiveSessions, stopPlaybackSession } = require('./utils/playbackSessions');
+const { getSegmentCacheStats } = require('./utils/segmentCache');
+const { fetchJellyfinSessions, extractTranscodingInfo } = require('./utils/jellyfinSessions');
+const { attachEventSocket, getEventStats } = require('./handling/eventSocket');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const MAX_CONCURRENT_STREAMS = parseInt(process.env.MAX_CONCURRENT_STREAMS) || 50;
 const MAX_RECENT_REQUESTS = 50;
+// Quality presets of the stream route offered by the admin panel's test player
+const TEST_STREAM_QUALITIES = ['auto', 'high', 'medium', 'low'];
 
 // Stats tracking for admin panel
 const serverStats = {
@@ -24,12 +41,13 @@ const serverStats = {
   requestCount: 0,
   streamCount: 0,
   totalBandwidth: 0,
-  activeStreams: new Map(),
+  activeStreams: getActiveSessions(),
   apiStats: {
     '/api/libraries': { count: 0, avgResponse: 0, totalTime: 0 },
     '/api/stream': { count: 0, avgResponse: 0, totalTime: 0 },
     '/api/search': { count: 0, avgResponse: 0, totalTime: 0 },
     '/api/items': { count: 0, avgResponse: 0, totalTime: 0 },
+    '/api/music': { count: 0, avgResponse: 0, totalTime: 0 },
     '/admin/stats': { count: 0, avgResponse: 0, totalTime: 0 }
   },
   recentRequests: [],
@@ -46,13 +64,13 @@ const serverStats = {
   }
 };
 
-// Scheduled cleanup for stale streams (every 5 minutes)
+// Scheduled cleanup for stale streams (every 5 minutes); stopping reports them to Jellyfin
 setInterval(() => {
   const oneHourAgo = Date.now() - 3600000;
   let cleaned = 0;
   for (const [id, info] of serverStats.activeStreams.entries()) {
-    if (info.startTime < oneHourAgo) {
-      serverStats.activeStreams.delete(id);
+    if (info.lastActivity < oneHourAgo) {
+      stopPlaybackSession(id, 'stale');
       cleaned++;
     }
   }
@@ -120,6 +138,9 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// ?format=text or Accept: text/plain turns JSON responses into the line-based text format
+app.use(negotiateResponseFormat);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -143,6 +164,7 @@ async function checkJellyfinStatus() {
     return {
       connected: true,
       server: process.env.JELLYFIN_SERVER,
+      authMode: getAuthMode(),
       version: response.data.Version,
       serverName: response.data.ServerName,
       lastChecked: new Date().toISOString()
@@ -151,51 +173,13 @@ async function checkJellyfinStatus() {
     return {
       connected: false,
       server: process.env.JELLYFIN_SERVER || 'Not configured',
+      authMode: getAuthMode(),
       error: error.message,
       lastChecked: new Date().toISOString()
     };
   }
 }
 
-async function fetchJellyfinSessions() {
-  try {
-    const axios = await getAuthenticatedAxios();
-    const response = await axios.get('/Sessions', {
-      params: { ActiveWithinSeconds: 60 },
-      timeout: 5000
-    });
-    return Array.isArray(response.data) ? response.data : [];
-  } catch (error) {
-    return [];
-  }
-}
-
-function extractTranscodingInfo(session) {
-  const info = session?.TranscodingInfo;
-  if (!info) return null;
-  const rawCompletion = info.CompletionPercentage ?? info.CompletionPercent ?? info.Progress;
-  let completionPercent = null;
-  if (rawCompletion !== undefined && rawCompletion !== null && !Number.isNaN(Number(rawCompletion))) {
-    const numericCompletion = Number(rawCompletion);
-    completionPercent = numericCompletion <= 1
-      ? Math.round(numericCompletion * 1000) / 10
-      : Math.round(numericCompletion * 10) / 10;
-  }
-
-  return {
-    isTranscoding: !(info.IsVideoDirect && info.IsAudioDirect),
-    completionPercent,
-    bitrate: info.Bitrate || null,
-    framerate: info.Framerate || info.TranscodeFramerate || null,
-    width: info.Width || null,
-    height: info.Height || null,
-    videoCodec: info.VideoCodec || null,
-    audioCodec: info.AudioCodec || null,
-    container: info.Container || null,
-    reasons: info.TranscodeReasons || []
-  };
-}
-
 // Helper function to format bytes
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
@@ -205,7 +189,9 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// Admin Panel Endpoints
+// Admin Panel Endpoints (the panel's static files are public; its data needs an admin key)
+app.use('/admin', requireScope('admin'));
+
 app.get('/admin/stats', async (req, res) => {
   const uptime = Date.now() - serverStats.startTime;
   const uptimeHours = Math.floor(uptime / 3600000);
@@ -226,6 +212,7 @@ app.get('/admin/stats', async (req, res) => {
     }
   });
 
+  const streamLimits = getStreamLimitStats(MAX_CONCURRENT_STREAMS);
   const activeStreamsArray = Array.from(serverStats.activeStreams.entries()).map(([sessionId, info]) => {
     const session = info.playSessionId
       ? sessionsByPlaySessionId.get(info.playSessionId)
@@ -260,6 +247,7 @@ app.get('/admin/stats', async (req, res) => {
     streaming: {
       totalStreams: serverStats.streamCount,
       activeStreams: activeStreamsArray.length,
+      queuedRequests: streamLimits.queueLength,
       totalBandwidth: serverStats.totalBandwidth,
       bandwidthFormatted: formatBytes(serverStats.totalBandwidth),
       avgBandwidthPerStream: serverStats.streamCount > 0
@@ -267,6 +255,13 @@ app.get('/admin/stats', async (req, res) => {
         : 0
     },
     api: serverStats.apiStats,
+    streamTokens: getStreamTokenStats(),
+    streamLimits,
+    segmentCache: getSegmentCacheStats(),
+    events: getEventStats(),
+    accounts: getAuthStats(),
+    authFailures: getAuthFailureStats(),
+    apiKeys: getApiKeyStats(),
     activeStreams: activeStreamsArray,
     requestBreakdown: serverStats.requestBreakdown,
     recentRequests: serverStats.recentRequests.slice(0, 20)
@@ -276,8 +271,8 @@ app.get('/admin/stats', async (req, res) => {
 // API Testing endpoints
 app.get('/admin/test/libraries', async (req, res) => {
   try {
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get(`/Users/${auth.userId}/Views`);
     const libraries = response.data.Items
       .filter(item => ['movies', 'tvshows', 'music'].includes(item.CollectionType))
@@ -296,8 +291,8 @@ app.get('/admin/test/libraries', async (req, res) => {
 
 app.get('/admin/test/recent', async (req, res) => {
   try {
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get(`/Users/${auth.userId}/Items/Latest`, {
       params: { Limit: 10, Fields: 'PrimaryImageAspectRatio,ProductionYear,Overview' }
     });
@@ -319,8 +314,8 @@ app.get('/admin/test/recent', async (req, res) => {
 app.get('/admin/test/search', async (req, res) => {
   try {
     const { q = 'a' } = req.query;
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get(`/Users/${auth.userId}/Items`, {
       params: {
         SearchTerm: q,
@@ -346,7 +341,7 @@ app.get('/admin/test/search', async (req, res) => {
 
 app.get('/admin/test/system', async (req, res) => {
   try {
-    const axios = await getAuthenticatedAxios();
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get('/System/Info');
     res.json({
       success: true,
@@ -365,8 +360,8 @@ app.get('/admin/test/system', async (req, res) => {
 
 app.get('/admin/test/videos', async (req, res) => {
   try {
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
     const response = await axios.get(`/Users/${auth.userId}/Items`, {
       params: {
         IncludeItemTypes: 'Movie,Episode',
@@ -411,8 +406,11 @@ app.get('/admin/test/stream/:itemId', async (req, res) => {
   try {
     const { itemId } = req.params;
     const { quality = 'auto' } = req.query;
-    const auth = await getAuthData();
-    const axios = await getAuthenticatedAxios();
+    if (!TEST_STREAM_QUALITIES.includes(quality)) {
+      return res.status(400).json({ success: false, error: `quality must be one of ${TEST_STREAM_QUALITIES.join(', ')}` });
+    }
+    const auth = await getAuthData(req);
+    const axios = await getAuthenticatedAxios(req);
 
     const streamUrl = `${req.protocol}://${req.get('host')}/api/stream/${itemId}?quality=${quality}&client=browser`;
     const itemResponse = await axios.get(`/Users/${auth.userId}/Items/${itemId}`, {
@@ -421,6 +419,7 @@ app.get('/admin/test/stream/:itemId', async (req, res) => {
 
     const item = itemResponse.data;
     const videoStream = item.MediaSources?.[0]?.MediaStreams?.find(s => s.Type === 'Video');
+    const token = issueStreamToken({ itemId, mediaSourceId: item.MediaSources?.[0]?.Id });
 
     res.json({
       success: true,
@@ -429,12 +428,13 @@ app.get('/admin/test/stream/:itemId', async (req, res) => {
         itemId,
         name: item.Name,
         type: item.Type,
+        quality,
         duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / 10000000) : 0,
         resolution: videoStream?.Height || 0,
         codec: videoStream?.Codec || 'Unknown',
         bitrate: videoStream?.BitRate || 0,
-        hlsUrl: `${streamUrl}&format=hls`,
-        directUrl: streamUrl
+        hlsUrl: `${streamUrl}&format=hls&token=${encodeURIComponent(token)}`,
+        directUrl: `${streamUrl}&format=direct&token=${encodeURIComponent(token)}`
       },
       endpoint: `/api/stream/${itemId}`
     });
@@ -443,6 +443,27 @@ app.get('/admin/test/stream/:itemId', async (req, res) => {
   }
 });
 
+// Stream token revocation
+app.post('/admin/tokens/revoke', (req, res) => {
+  const { token, all = false } = req.body || {};
+
+  if (all === true) {
+    revokeAllStreamTokens();
+    console.log('All outstanding stream tokens revoked');
+    return res.json({ success: true, revoked: 'all' });
+  }
+
+  if (!token) {
+    return res.status(400).json({ error: 'Provide a token or set all to true' });
+  }
+
+  const revoked = revokeStreamToken(token);
+  res.status(revoked ? 200 : 400).json({
+    success: revoked,
+    error: revoked ? undefined : 'Token is invalid, expired or already revoked'
+  });
+});
+
 app.get('/admin/requests', (req, res) => {
   res.json({
     message: 'Live request log',
@@ -457,19 +478,24 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'online',
     server: process.env.JELLYFIN_SERVER,
+    authMode: getAuthMode(),
     timestamp: new Date().toISOString(),
     version: require('./package.json').version,
     activeStreams: serverStats.activeStreams.size,
+    queuedStreams: getStreamLimitStats(MAX_CONCURRENT_STREAMS).queueLength,
     maxConcurrentStreams: MAX_CONCURRENT_STREAMS
   });
 });
 
 // API Routes
-app.use('/api/stream', streamRoutes);
-app.use('/api/libraries', libraryRoutes);
-app.use('/api/search', searchRoutes);
-app.use('/api/items', itemRoutes);
-app.use('/api/movies', movieRoutes);
+app.use('/api/stream', requireScope('stream'), streamRoutes);
+app.use('/api/libraries', requireScope('browse'), libraryRoutes);
+app.use('/api/search', requireScope('browse'), searchRoutes);
+app.use('/api/items', requireScope('browse'), itemRoutes);
+app.use('/api/movies', requireScope('browse'), movieRoutes);
+app.use('/api/music', requireScope('browse'), musicRoutes);
+// Open so new users can pair; approving the code requires signing in to Jellyfin
+app.use('/api/pair', pairingRoutes);
 
 // Root endpoint with API info
 app.get('/', (req, res) => {
@@ -481,11 +507,24 @@ app.get('/', (req, res) => {
       admin: 'GET /admin.html',
       adminStats: 'GET /admin/stats',
       requestLog: 'GET /admin/requests',
+      revokeTokens: 'POST /admin/tokens/revoke',
       libraries: 'GET /api/libraries',
       libraryItems: 'GET /api/libraries/:libraryId/items',
       stream: 'GET /api/stream/:itemId',
+      audioStream: 'GET /api/stream/:itemId/audio',
+      trickplay: 'GET /api/stream/:itemId/trickplay',
+      events: 'WS /api/events',
+      pair: 'POST /api/pair',
+      pairStatus: 'GET /api/pair/:pairingId',
       itemDetails: 'GET /api/items/:itemId',
       search: 'GET /api/search?q=query',
+      seriesSeasons: 'GET /api/movies/series/:seriesId/seasons',
+      seasonEpisodes: 'GET /api/movies/series/:seriesId/seasons/:seasonId/episodes',
+      seriesSpecials: 'GET /api/movies/series/:seriesId/specials',
+      musicArtists: 'GET /api/music/artists',
+      musicAlbums: 'GET /api/music/albums',
+      albumTracks: 'GET /api/music/albums/:albumId/tracks',
+      instantMix: 'GET /api/music/instantmix/:itemId',
       recent: 'GET /api/items/recent'
     }
   });
@@ -509,11 +548,17 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Jellyfin-Resonite API Server started`);
   console.log(`Port: ${PORT}`);
-  console.log(`Jellyfin: ${process.env.JELLYFIN_SERVER}`);
+  console.log(`Jellyfin: ${process.env.JELLYFIN_SERVER} (auth: ${getAuthMode()})`);
   console.log(`Max concurrent streams: ${MAX_CONCURRENT_STREAMS}`);
+  if (!getApiKeyStats().protected) {
+    console.warn('BRIDGE_API_KEYS is not set: /api and /admin are open to anyone who can reach this port');
+  }
   console.log(`Admin Panel: http://localhost:${PORT}/admin.html`);
   console.log(`Health check: http://localhost:${PORT}/health`);
 });
+
+// WebSocket event channel at /api/events
+attachEventSocket(server);
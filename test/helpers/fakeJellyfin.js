@@ -0,0 +1,57 @@
+/**
+ * Minimal Jellyfin stand-in for route tests: signs in, serves HLS segments and accepts playback reports
+ */
+
+const http = require('http');
+
+/**
+ * Start the fake server and point the bridge at it; call before requiring any bridge module
+ * @returns {Promise<Object>} { server, requests } where requests lists "METHOD path" strings
+ */
+async function startFakeJellyfin() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push(`${req.method} ${pathname}`);
+    req.resume();
+
+    if (pathname === '/Users/authenticatebyname') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ AccessToken: 'token', User: { Id: 'user1', Name: 'bridge' }, ServerId: 'server' }));
+    }
+    if (pathname.startsWith('/Sessions/Playing')) {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (/^\/Videos\/[\w-]+\/hls1\//.test(pathname)) {
+      res.writeHead(200, { 'Content-Type': 'video/mp2t', 'Content-Length': 4 });
+      return res.end('SEGM');
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    JELLYFIN_SERVER: `http://127.0.0.1:${server.address().port}`,
+    JELLYFIN_USERNAME: 'bridge',
+    JELLYFIN_PASSWORD: 'secret',
+    USERS_FILE: '/nonexistent/users.json',
+    PAIRED_USERS_FILE: '/nonexistent/paired-users.json',
+    SEGMENT_CACHE_MAX_SIZE: '0'
+  });
+  return { server, requests };
+}
+
+/**
+ * Stop the fake server, dropping the bridge's keep-alive connections
+ */
+function stopFakeJellyfin(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+module.exports = {
+  startFakeJellyfin,
+  stopFakeJellyfin
+};
@@ -0,0 +1,74 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeJellyfin, stopFakeJellyfin } = require('./helpers/fakeJellyfin');
+
+const TICKS_PER_SECOND = 10000000;
+
+let jellyfin;
+let sessions;
+
+before(async () => {
+  jellyfin = await startFakeJellyfin();
+  // The idle sweep is scheduled when the module loads, so fake the clock first
+  mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+  sessions = require('../utils/playbackSessions');
+});
+
+after(async () => {
+  mock.timers.reset();
+  await stopFakeJellyfin(jellyfin.server);
+});
+
+/**
+ * Start an HLS-style session: no open connections, kept alive by segment requests only
+ */
+function startHlsSession(playSessionId) {
+  return sessions.startPlaybackSession({
+    playSessionId,
+    itemId: 'item1',
+    mediaSourceId: 'ms1',
+    playMethod: 'Transcode',
+    clientId: 'ip:127.0.0.1',
+    startPositionTicks: 0
+  });
+}
+
+describe('playback sessions', () => {
+  it('resumes an HLS session that a pause ended as idle', () => {
+    startHlsSession('paused');
+    sessions.touchPlaybackSession('paused', 30 * TICKS_PER_SECOND);
+
+    mock.timers.tick(75000);
+    assert.equal(sessions.getPlaybackSession('paused'), undefined);
+    assert.equal(sessions.touchPlaybackSession('paused', 30 * TICKS_PER_SECOND), false);
+
+    const resumed = sessions.resumePlaybackSession('paused', 33 * TICKS_PER_SECOND);
+    assert.ok(resumed);
+    assert.equal(sessions.getPlaybackSession('paused'), resumed);
+    assert.equal(resumed.clientId, 'ip:127.0.0.1');
+    assert.equal(resumed.mediaSourceId, 'ms1');
+    assert.equal(resumed.positionTicks, 33 * TICKS_PER_SECOND);
+    assert.equal(sessions.touchPlaybackSession('paused', 36 * TICKS_PER_SECOND), true);
+
+    // Resuming is a one-off; the session is tracked again until it idles out once more
+    assert.equal(sessions.resumePlaybackSession('paused'), null);
+    sessions.stopPlaybackSession('paused', 'test');
+  });
+
+  it('falls back to the last known position when the request carries none', () => {
+    startHlsSession('no-position');
+    sessions.touchPlaybackSession('no-position', 90 * TICKS_PER_SECOND);
+    mock.timers.tick(75000);
+
+    const resumed = sessions.resumePlaybackSession('no-position', NaN);
+    assert.equal(resumed.positionTicks, 90 * TICKS_PER_SECOND);
+    sessions.stopPlaybackSession('no-position', 'test');
+  });
+
+  it('does not resume sessions that were stopped for other reasons', async () => {
+    startHlsSession('stopped');
+    await sessions.stopPlaybackSession('stopped', 'client');
+    assert.equal(sessions.resumePlaybackSession('stopped'), null);
+    assert.equal(sessions.resumePlaybackSession('unknown'), null);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { startFakeJellyfin, stopFakeJellyfin } = require('./helpers/fakeJellyfin');
+
+let jellyfin;
+let bridge;
+let baseUrl;
+let issueStreamToken;
+let startPlaybackSession;
+let stopPlaybackSession;
+
+before(async () => {
+  jellyfin = await startFakeJellyfin();
+  // Bridge modules read their configuration when loaded, so only require them now
+  ({ issueStreamToken } = require('../entry/middleware/streamTokens'));
+  ({ startPlaybackSession, stopPlaybackSession } = require('../utils/playbackSessions'));
+
+  const app = express();
+  app.locals.maxConcurrentStreams = 1;
+  app.use('/api/stream', require('../handling/routes/streams'));
+  bridge = app.listen(0, '127.0.0.1');
+  await once(bridge, 'listening');
+  baseUrl = `http://127.0.0.1:${bridge.address().port}/api/stream`;
+});
+
+after(async () => {
+  bridge.closeAllConnections();
+  bridge.close();
+  await stopFakeJellyfin(jellyfin.server);
+});
+
+/**
+ * Build a segment proxy URL carrying a token for item1
+ */
+function segmentUrl(segmentPath, playSessionId) {
+  const token = issueStreamToken({ itemId: 'item1', mediaSourceId: 'ms1', playSessionId, clientId: 'ip:127.0.0.1' });
+  return `${baseUrl}/item1/segments/${segmentPath}?token=${encodeURIComponent(token)}`;
+}
+
+describe('segment proxy', () => {
+  it('counts a segment request for an untracked session against the stream limit', async () => {
+    startPlaybackSession({ playSessionId: 'busy', itemId: 'item2', clientId: 'ip:192.0.2.1', playMethod: 'Transcode' });
+    try {
+      const response = await fetch(segmentUrl('hls1/main/0.ts', 'untracked'));
+      assert.equal(response.status, 429);
+      assert.equal(response.headers.get('retry-after'), '30');
+    } finally {
+      await stopPlaybackSession('busy', 'test');
+    }
+  });
+
+  it('serves segments of a tracked session even at the limit', async () => {
+    startPlaybackSession({ playSessionId: 'tracked', itemId: 'item1', clientId: 'ip:127.0.0.1', playMethod: 'Transcode' });
+    try {
+      const response = await fetch(segmentUrl('hls1/main/0.ts', 'tracked'));
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), 'SEGM');
+    } finally {
+      await stopPlaybackSession('tracked', 'test');
+    }
+  });
+
+  it('refuses paths that would start a new upstream stream', async () => {
+    for (const segmentPath of ['master.m3u8', 'stream', 'stream.mp4', 'other/Subtitles/2/subtitles.m3u8']) {
+      const response = await fetch(segmentUrl(segmentPath, 'fresh'));
+      assert.equal(response.status, 400, segmentPath);
+    }
+    assert.ok(!jellyfin.requests.some(request => /master\.m3u8|\/stream|\/Subtitles\//.test(request)));
+  });
+});
@@ -0,0 +1,433 @@
+/**
+ * Client device profiles: what each kind of client can play without transcoding
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = process.env.DEVICE_PROFILES_FILE ||
+  path.join(__dirname, '..', 'config', 'device-profiles.json');
+const DEFAULT_PROFILE = process.env.DEFAULT_DEVICE_PROFILE || 'resonite-desktop';
+
+// Output codecs for audio transcodes and the container each one is streamed in
+const AUDIO_OUTPUTS = {
+  mp3: { codec: 'mp3', container: 'mp3', mimeType: 'audio/mpeg' },
+  aac: { codec: 'aac', container: 'aac', mimeType: 'audio/aac' },
+  opus: { codec: 'opus', container: 'ogg', mimeType: 'audio/ogg' },
+  ogg: { codec: 'vorbis', container: 'ogg', mimeType: 'audio/ogg' }
+};
+
+// Conservative transcode used when direct play fails upstream: 8-bit H.264 and stereo AAC in MPEG-TS
+const FALLBACK_TRANSCODE = {
+  container: 'ts',
+  videoCodec: 'h264',
+  audioCodec: 'aac',
+  audioChannels: 2,
+  maxWidth: 1920,
+  maxHeight: 1080,
+  bitrate: 8000000
+};
+
+// Jellyfin VideoRangeType values; Dolby Vision profiles with a fallback layer also play where that layer does
+const VIDEO_RANGE_TYPES = ['SDR', 'HDR10', 'HDR10Plus', 'HLG', 'DOVI', 'DOVIWithHDR10', 'DOVIWithHLG', 'DOVIWithSDR'];
+const VIDEO_RANGE_FALLBACKS = {
+  DOVIWithHDR10: 'HDR10',
+  DOVIWithHLG: 'HLG',
+  DOVIWithSDR: 'SDR'
+};
+
+const BUILT_IN_PROFILES = {
+  'resonite-desktop': {
+    description: 'Resonite on desktop (libVLC video player)',
+    containers: ['mp4', 'm4v', 'mkv', 'avi', 'mov', 'wmv', 'asf', 'webm', 'ts'],
+    videoCodecs: ['h264', 'hevc', 'vp8', 'vp9', 'av1'],
+    audioCodecs: ['aac', 'mp3', 'ac3', 'eac3', 'flac', 'alac', 'vorbis', 'opus'],
+    audioContainers: ['mp3', 'aac', 'm4a', 'm4b', 'flac', 'ogg', 'oga', 'opus', 'wav', 'webma'],
+    maxWidth: 3840,
+    maxHeight: 2160,
+    maxBitrate: 40000000,
+    maxAudioChannels: 6,
+    videoRangeTypes: ['SDR'],
+    transcoding: { container: 'ts', videoCodec: 'h264', audioCodec: 'aac', bitrate: 8000000 }
+  },
+  'resonite-quest': {
+    description: 'Resonite on standalone Quest headsets',
+    containers: ['mp4', 'm4v', 'mkv', 'webm', 'ts'],
+    videoCodecs: ['h264', 'hevc'],
+    audioCodecs: ['aac', 'mp3', 'opus', 'vorbis'],
+    audioContainers: ['mp3', 'aac', 'm4a', 'ogg', 'oga', 'opus'],
+    maxWidth: 1920,
+    maxHeight: 1080,
+    maxBitrate: 12000000,
+    maxAudioChannels: 2,
+    videoRangeTypes: ['SDR'],
+    transcoding: { container: 'ts', videoCodec: 'h264', audioCodec: 'aac', bitrate: 5000000 }
+  },
+  browser: {
+    description: 'Web browsers (admin panel test player)',
+    containers: ['mp4', 'webm'],
+    videoCodecs: ['h264', 'vp9', 'av1'],
+    audioCodecs: ['aac', 'mp3', 'opus', 'vorbis', 'flac'],
+    audioContainers: ['mp3', 'aac', 'm4a', 'ogg', 'oga', 'opus', 'webma', 'flac', 'wav'],
+    maxWidth: 3840,
+    maxHeight: 2160,
+    maxBitrate: 20000000,
+    maxAudioChannels: 2,
+    videoRangeTypes: ['SDR'],
+    transcoding: { container: 'mp4', videoCodec: 'h264', audioCodec: 'aac', bitrate: 5000000 }
+  }
+};
+
+/**
+ * Normalize a list given as an array or comma-separated string
+ */
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Normalize a list of video range types to Jellyfin's spelling, dropping unknown ones
+ */
+function toRangeTypes(value) {
+  const types = toList(value)
+    .map(type => VIDEO_RANGE_TYPES.find(known => known.toLowerCase() === type))
+    .filter(Boolean);
+  return types.length > 0 ? types : ['SDR'];
+}
+
+/**
+ * Merge a (possibly partial) profile definition over its base
+ */
+function normalizeProfile(name, definition, base = {}) {
+  const merged = { ...base, ...definition, transcoding: { ...base.transcoding, ...definition.transcoding } };
+  return {
+    name,
+    description: merged.description || name,
+    containers: toList(merged.containers),
+    videoCodecs: toList(merged.videoCodecs),
+    audioCodecs: toList(merged.audioCodecs),
+    audioContainers: toList(merged.audioContainers || ['mp3', 'aac', 'm4a', 'ogg', 'opus']),
+    maxWidth: parseInt(merged.maxWidth) || 1920,
+    maxHeight: parseInt(merged.maxHeight) || 1080,
+    maxBitrate: parseInt(merged.maxBitrate) || 20000000,
+    maxAudioChannels: parseInt(merged.maxAudioChannels) || 2,
+    videoRangeTypes: toRangeTypes(merged.videoRangeTypes),
+    transcoding: {
+      container: merged.transcoding.container || 'ts',
+      videoCodec: merged.transcoding.videoCodec || 'h264',
+      audioCodec: merged.transcoding.audioCodec || 'aac',
+      bitrate: parseInt(merged.transcoding.bitrate) || 5000000
+    }
+  };
+}
+
+/**
+ * Load built-in profiles plus any custom ones from the profiles file
+ */
+function loadProfiles() {
+  const profiles = new Map();
+  for (const [name, definition] of Object.entries(BUILT_IN_PROFILES)) {
+    profiles.set(name, normalizeProfile(name, definition));
+  }
+
+  if (!fs.existsSync(PROFILES_FILE)) {
+    return profiles;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    const custom = config.profiles || config;
+    // Names are matched case-insensitively, since getDeviceProfile lowercases ?client=
+    const loaded = new Set();
+    for (const [rawName, definition] of Object.entries(custom)) {
+      const name = rawName.toLowerCase();
+      if (loaded.has(name)) {
+        console.warn(`Device profile "${rawName}" duplicates an earlier profile differing only in case, skipping`);
+        continue;
+      }
+      loaded.add(name);
+
+      const base = definition.extends ? profiles.get(definition.extends.toLowerCase()) : null;
+      if (definition.extends && !base) {
+        console.warn(`Device profile "${name}" extends unknown profile "${definition.extends}", skipping`);
+        continue;
+      }
+      profiles.set(name, normalizeProfile(name, definition, base || {}));
+    }
+    console.log(`Loaded ${loaded.size} custom device profile(s) from ${PROFILES_FILE}`);
+  } catch (error) {
+    console.error(`Failed to load device profiles from ${PROFILES_FILE}:`, error.message);
+  }
+
+  return profiles;
+}
+
+const profiles = loadProfiles();
+
+/**
+ * Get a device profile by client name, falling back to the default profile
+ * @param {string} client - Value of the ?client= query parameter
+ * @returns {Object} Device profile
+ */
+function getDeviceProfile(client) {
+  return profiles.get((client || '').toLowerCase()) ||
+    profiles.get(DEFAULT_PROFILE.toLowerCase()) ||
+    profiles.get('resonite-desktop');
+}
+
+/**
+ * List all registered device profiles
+ * @returns {Array} Device profiles
+ */
+function listDeviceProfiles() {
+  return Array.from(profiles.values());
+}
+
+/**
+ * Apply the per-request ?tonemap= override to a profile
+ * @param {Object} profile - Device profile
+ * @param {string} toneMap - "true" to tone map every HDR source, "false" to pass HDR through untouched
+ * @returns {Object} Profile with the effective videoRangeTypes
+ */
+function applyToneMapOverride(profile, toneMap) {
+  if (toneMap === 'true') return { ...profile, videoRangeTypes: ['SDR'] };
+  if (toneMap === 'false') return { ...profile, videoRangeTypes: [...VIDEO_RANGE_TYPES] };
+  return profile;
+}
+
+/**
+ * Check whether a profile can display a video stream's dynamic range as-is
+ * @param {Object} profile - Device profile
+ * @param {Object} videoStream - Jellyfin video MediaStream
+ * @returns {boolean} False when the stream needs tone mapping for this profile
+ */
+function supportsVideoRange(profile, videoStream) {
+  const rangeType = videoStream?.VideoRangeType;
+  if (!VIDEO_RANGE_TYPES.includes(rangeType)) {
+    // Older servers only report VideoRange, newer ones may say "Unknown"
+    return videoStream?.VideoRange !== 'HDR' || profile.videoRangeTypes.some(type => type !== 'SDR');
+  }
+  return profile.videoRangeTypes.includes(rangeType) ||
+    profile.videoRangeTypes.includes(VIDEO_RANGE_FALLBACKS[rangeType]);
+}
+
+/**
+ * Build the Jellyfin DeviceProfile sent with PlaybackInfo
+ * @param {Object} profile - Device profile
+ * @param {Object} transcode - Effective transcode settings (container, codecs, channels)
+ * @returns {Object} Jellyfin DeviceProfile
+ */
+function buildJellyfinDeviceProfile(profile, transcode) {
+  return {
+    Name: `Resonite API (${profile.name})`,
+    MaxStreamingBitrate: profile.maxBitrate,
+    MaxStaticBitrate: profile.maxBitrate,
+    MusicStreamingTranscodingBitrate: 192000,
+    DirectPlayProfiles: [{
+      Container: profile.containers.join(','),
+      VideoCodec: profile.videoCodecs.join(','),
+      AudioCodec: profile.audioCodecs.join(','),
+      Type: 'Video'
+    }],
+    TranscodingProfiles: [{
+      Container: transcode.container,
+      Type: 'Video',
+      AudioCodec: transcode.audioCodec,
+      VideoCodec: transcode.videoCodec,
+      Context: 'Streaming',
+      Protocol: transcode.container === 'ts' ? 'hls' : 'http',
+      MaxAudioChannels: String(transcode.audioChannels)
+    }],
+    CodecProfiles: [{
+      Type: 'Video',
+      Conditions: [
+        { Condition: 'LessThanEqual', Property: 'Width', Value: String(profile.maxWidth), IsRequired: false },
+        { Condition: 'LessThanEqual', Property: 'Height', Value: String(profile.maxHeight), IsRequired: false },
+        { Condition: 'EqualsAny', Property: 'VideoRangeType', Value: profile.videoRangeTypes.join('|'), IsRequired: false }
+      ]
+    }, {
+      Type: 'VideoAudio',
+      Conditions: [
+        { Condition: 'LessThanEqual', Property: 'AudioChannels', Value: String(profile.maxAudioChannels), IsRequired: false }
+      ]
+    }]
+  };
+}
+
+/**
+ * Get the safe transcode settings for retrying a failed direct play, capped by the profile
+ * @param {Object} profile - Device profile
+ * @returns {Object} { container, videoCodec, audioCodec, audioChannels, maxWidth, maxHeight, bitrate }
+ */
+function getFallbackTranscode(profile) {
+  return {
+    ...FALLBACK_TRANSCODE,
+    audioChannels: Math.min(FALLBACK_TRANSCODE.audioChannels, profile.maxAudioChannels),
+    maxWidth: Math.min(FALLBACK_TRANSCODE.maxWidth, profile.maxWidth),
+    maxHeight: Math.min(FALLBACK_TRANSCODE.maxHeight, profile.maxHeight),
+    bitrate: Math.min(FALLBACK_TRANSCODE.bitrate, profile.transcoding.bitrate, profile.maxBitrate)
+  };
+}
+
+/**
+ * Get the transcode output settings for an audio codec name
+ * @param {string} name - mp3, aac, opus or ogg
+ * @returns {Object|null} { name, codec, container, mimeType }, or null for unknown names
+ */
+function getAudioOutput(name) {
+  const key = (name || '').toLowerCase();
+  return AUDIO_OUTPUTS[key] ? { name: key, ...AUDIO_OUTPUTS[key] } : null;
+}
+
+/**
+ * Build the audio-only Jellyfin DeviceProfile sent with PlaybackInfo for music
+ * @param {Object} profile - Device profile
+ * @param {Object} output - Audio output from getAudioOutput
+ * @param {number} maxBitrate - Maximum audio bitrate in bits per second
+ * @returns {Object} Jellyfin DeviceProfile
+ */
+function buildJellyfinAudioProfile(profile, output, maxBitrate) {
+  return {
+    Name: `Resonite API (${profile.name}, audio)`,
+    MaxStreamingBitrate: maxBitrate,
+    MaxStaticBitrate: maxBitrate,
+    MusicStreamingTranscodingBitrate: maxBitrate,
+    DirectPlayProfiles: [{
+      Container: profile.audioContainers.join(','),
+      AudioCodec: profile.audioCodecs.join(','),
+      Type: 'Audio'
+    }],
+    TranscodingProfiles: [{
+      Container: output.container,
+      Type: 'Audio',
+      AudioCodec: output.codec,
+      Context: 'Streaming',
+      Protocol: 'http',
+      MaxAudioChannels: String(profile.maxAudioChannels)
+    }],
+    CodecProfiles: [{
+      Type: 'Audio',
+      Conditions: [
+        { Condition: 'LessThanEqual', Property: 'AudioChannels', Value: String(profile.maxAudioChannels), IsRequired: false }
+      ]
+    }]
+  };
+}
+
+/**
+ * Check whether an audio-only media source can be played as-is by a profile
+ * @param {Object} profile - Device profile
+ * @param {Object} mediaSource - Jellyfin media source
+ * @param {Object} audioStream - Audio stream to play
+ * @param {number} maxBitrate - Requested maximum bitrate
+ * @returns {{directPlay: boolean, reasons: string[]}} Decision plus refusal reasons
+ */
+function checkAudioDirectPlay(profile, mediaSource, audioStream, maxBitrate) {
+  const reasons = [];
+  const containers = toList(mediaSource.Container);
+  const codec = (audioStream?.Codec || '').toLowerCase();
+
+  if (!containers.some(c => profile.audioContainers.includes(c))) {
+    reasons.push(`Container not supported: ${mediaSource.Container || 'unknown'}`);
+  }
+  if (!profile.audioCodecs.includes(codec)) {
+    reasons.push(`Audio codec not supported: ${codec || 'unknown'}`);
+  }
+  if ((mediaSource.Bitrate || audioStream?.BitRate || 0) > maxBitrate) {
+    reasons.push(`Bitrate exceeds ${maxBitrate}`);
+  }
+  if ((audioStream?.Channels || 0) > profile.maxAudioChannels) {
+    reasons.push(`Audio channels exceed ${profile.maxAudioChannels}`);
+  }
+
+  return { directPlay: reasons.length === 0, reasons };
+}
+
+/**
+ * Check whether a media source can be played as-is by a profile
+ * @param {Object} profile - Device profile
+ * @param {Object} mediaSource - Jellyfin media source
+ * @param {Object} videoStream - Video stream to play
+ * @param {Object} audioStream - Audio stream to play
+ * @returns {{directPlay: boolean, directStream: boolean, reasons: string[]}} Decisions plus refusal reasons;
+ *   directStream means only the container is unsupported, so a remux is enough
+ */
+function checkDirectPlay(profile, mediaSource, videoStream, audioStream) {
+  const reasons = [];
+  const containers = toList(mediaSource.Container);
+  const videoCodec = (videoStream?.Codec || '').toLowerCase();
+  const audioCodec = (audioStream?.Codec || '').toLowerCase();
+  const containerSupported = containers.some(c => profile.containers.includes(c));
+
+  if (!containerSupported) {
+    reasons.push(`Container not supported: ${mediaSource.Container || 'unknown'}`);
+  }
+  if (videoStream && !profile.videoCodecs.includes(videoCodec)) {
+    reasons.push(`Video codec not supported: ${videoCodec || 'unknown'}`);
+  }
+  if (audioStream && !profile.audioCodecs.includes(audioCodec)) {
+    reasons.push(`Audio codec not supported: ${audioCodec || 'unknown'}`);
+  }
+  if ((videoStream?.Width || 0) > profile.maxWidth || (videoStream?.Height || 0) > profile.maxHeight) {
+    reasons.push(`Resolution exceeds ${profile.maxWidth}x${profile.maxHeight}`);
+  }
+  if ((mediaSource.Bitrate || 0) > profile.maxBitrate) {
+    reasons.push(`Bitrate exceeds ${profile.maxBitrate}`);
+  }
+  if ((audioStream?.Channels || 0) > profile.maxAudioChannels) {
+    reasons.push(`Audio channels exceed ${profile.maxAudioChannels}`);
+  }
+  if (videoStream && !supportsVideoRange(profile, videoStream)) {
+    reasons.push(`Video range not supported: ${videoStream.VideoRangeType || videoStream.VideoRange}`);
+  }
+
+  return {
+    directPlay: reasons.length === 0,
+    directStream: reasons.length === (containerSupported ? 0 : 1),
+    reasons
+  };
+}
+
+/**
+ * Pick the best media source (version) of an item for a profile.
+ * Direct play beats remux beats transcode; within a tier, the highest resolution
+ * the profile allows wins, and oversized versions rank last.
+ * @param {Object} profile - Device profile
+ * @param {Array} mediaSources - Jellyfin media sources
+ * @returns {Object|null} Chosen media source
+ */
+function selectBestMediaSource(profile, mediaSources) {
+  const ranked = (mediaSources || []).map(source => {
+    const streams = source.MediaStreams || [];
+    const videoStream = streams.find(s => s.Type === 'Video');
+    const audioStream = streams.find(s => s.Index === source.DefaultAudioStreamIndex) ||
+      streams.find(s => s.Type === 'Audio');
+    const check = checkDirectPlay(profile, source, videoStream, audioStream);
+    const height = videoStream?.Height || 0;
+
+    return {
+      source,
+      tier: check.directPlay ? 2 : check.directStream ? 1 : 0,
+      fits: height <= profile.maxHeight ? 1 : 0,
+      height
+    };
+  });
+
+  ranked.sort((a, b) => (b.tier - a.tier) || (b.fits - a.fits) || (a.fits ? b.height - a.height : a.height - b.height));
+  return ranked[0]?.source || null;
+}
+
+module.exports = {
+  getDeviceProfile,
+  listDeviceProfiles,
+  buildJellyfinDeviceProfile,
+  checkDirectPlay,
+  selectBestMediaSource,
+  applyToneMapOverride,
+  supportsVideoRange,
+  getFallbackTranscode,
+  getAudioOutput,
+  buildJellyfinAudioProfile,
+  checkAudioDirectPlay
+};
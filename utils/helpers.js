@@ -24,6 +24,11 @@ function buildImageUrl(item, type = 'Primary', height = 300) {
     return `${JELLYFIN_SERVER}/Items/${item.Id}/Images/Backdrop/0?height=${height}&tag=${item.BackdropImageTags[0]}`;
   }
 
+  // Tracks without their own art use the album's
+  if (item.AlbumPrimaryImageTag && item.AlbumId && type === 'Primary') {
+    return `${JELLYFIN_SERVER}/Items/${item.AlbumId}/Images/Primary?height=${height}&tag=${item.AlbumPrimaryImageTag}`;
+  }
+
   // For series items, try parent images
   if (item.ParentPrimaryImageTag && type === 'Primary') {
     return `${JELLYFIN_SERVER}/Items/${item.ParentId || item.SeriesId}/Images/Primary?height=${height}&tag=${item.ParentPrimaryImageTag}`;
@@ -36,6 +41,21 @@ function buildImageUrl(item, type = 'Primary', height = 300) {
   return null;
 }
 
+/**
+ * Build an absolute URL pointing back at this bridge
+ * @param {Object} req - Express request, used when PUBLIC_URL is not configured
+ * @param {string} path - Path on the bridge (e.g. /api/stream/123)
+ * @param {Object} params - Query parameters to append
+ * @returns {string} Absolute bridge URL
+ */
+function buildBridgeUrl(req, path, params = {}) {
+  const base = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return `${base}${path}${query ? `?${query}` : ''}`;
+}
+
 /**
  * Format bytes to human readable string
  * @param {number} bytes - Number of bytes
@@ -93,6 +113,27 @@ function parseIntParam(value, defaultValue, min = 1, max = 1000) {
   return Math.max(min, Math.min(max, parsed));
 }
 
+/**
+ * Build the pagination block for a 1-based paged response
+ * @param {number} pageNum - Current page (1-based)
+ * @param {number} limitNum - Items per page
+ * @param {number} totalCount - Total number of items
+ * @returns {Object} Pagination metadata
+ */
+function buildPagination(pageNum, limitNum, totalCount) {
+  const totalPages = Math.ceil(totalCount / limitNum);
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalCount,
+    limit: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+    nextPage: pageNum < totalPages ? pageNum + 1 : null,
+    prevPage: pageNum > 1 ? pageNum - 1 : null
+  };
+}
+
 /**
  * Create a standardized item response object
  * @param {Object} item - The Jellyfin item
@@ -121,6 +162,14 @@ function mapItemResponse(item, options = {}) {
     base.episodeNumber = item.IndexNumber;
   }
 
+  if (item.Type === 'Audio') {
+    base.album = item.Album;
+    base.albumId = item.AlbumId;
+    base.artists = item.Artists || [];
+    base.trackNumber = item.IndexNumber;
+    base.discNumber = item.ParentIndexNumber;
+  }
+
   if (item.RunTimeTicks) {
     base.duration = Math.round(item.RunTimeTicks / 10000000);
     base.durationFormatted = formatDuration(item.RunTimeTicks);
@@ -137,6 +186,32 @@ function mapItemResponse(item, options = {}) {
   return base;
 }
 
+/**
+ * Create a summary of one version (media source) of an item
+ * @param {Object} source - The Jellyfin media source
+ * @returns {Object} Media source summary
+ */
+function mapMediaSource(source) {
+  const streams = source.MediaStreams || [];
+  const videoStream = streams.find(s => s.Type === 'Video');
+  const audioStreams = streams.filter(s => s.Type === 'Audio');
+
+  return {
+    id: source.Id,
+    name: source.Name,
+    container: source.Container,
+    width: videoStream?.Width || 0,
+    height: videoStream?.Height || 0,
+    resolution: videoStream?.Height ? `${videoStream.Height}p` : 'Unknown',
+    videoCodec: videoStream?.Codec || null,
+    audioCodecs: [...new Set(audioStreams.map(a => a.Codec).filter(Boolean))],
+    bitrate: source.Bitrate || 0,
+    bitrateFormatted: formatBitrate(source.Bitrate),
+    size: source.Size || 0,
+    sizeFormatted: formatBytes(source.Size)
+  };
+}
+
 /**
  * Create a cache with TTL and max size
  */
@@ -177,10 +252,13 @@ class SimpleCache {
 
 module.exports = {
   buildImageUrl,
+  buildBridgeUrl,
   formatBytes,
   formatDuration,
   formatBitrate,
   parseIntParam,
+  buildPagination,
   mapItemResponse,
+  mapMediaSource,
   SimpleCache
 };
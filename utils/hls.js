@@ -0,0 +1,91 @@
+/**
+ * HLS playlist helpers for proxying Jellyfin streams through the bridge
+ */
+
+// Query parameters that carry Jellyfin credentials and must never reach a client
+const CREDENTIAL_PARAMS = new Set(['api_key', 'apikey']);
+
+// Placeholder origin used to resolve relative playlist URIs
+const UPSTREAM_ORIGIN = 'http://jellyfin.invalid';
+
+/**
+ * Remove credential parameters from a query object or URLSearchParams
+ * @param {Object|URLSearchParams} query - Query to clean
+ * @returns {Object} Plain object without credential parameters
+ */
+function stripCredentials(query) {
+  const entries = query instanceof URLSearchParams ? query.entries() : Object.entries(query || {});
+  const clean = {};
+  for (const [key, value] of entries) {
+    if (!CREDENTIAL_PARAMS.has(key.toLowerCase())) {
+      clean[key] = value;
+    }
+  }
+  return clean;
+}
+
+/**
+ * Check whether a response body or path is an HLS playlist
+ * @param {string} path - Upstream path (may include a query string)
+ * @returns {boolean} True for .m3u8 paths
+ */
+function isPlaylistPath(path) {
+  return /\.m3u8($|\?)/i.test(path || '');
+}
+
+/**
+ * Rewrite a single playlist URI so it points at the bridge segment proxy
+ * @param {string} uri - URI as it appears in the playlist
+ * @param {URL} base - Resolved URL of the playlist the URI came from
+ * @param {Object} options - Rewrite options (itemId, proxyBase, extraParams)
+ * @returns {string} Rewritten URI
+ */
+function rewriteUri(uri, base, { itemId, proxyBase, extraParams = {} }) {
+  const resolved = new URL(uri, base);
+  const prefix = `/Videos/${itemId}/`;
+  const query = new URLSearchParams({ ...stripCredentials(resolved.searchParams), ...extraParams });
+  const queryString = query.toString();
+
+  if (resolved.origin !== UPSTREAM_ORIGIN || !resolved.pathname.startsWith(prefix)) {
+    // Not something the segment proxy can serve; only make sure no credentials leak
+    resolved.search = queryString;
+    return resolved.origin === UPSTREAM_ORIGIN
+      ? `${resolved.pathname}${resolved.search}`
+      : resolved.toString();
+  }
+
+  const segmentPath = resolved.pathname.slice(prefix.length);
+  return `${proxyBase}/${segmentPath}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Rewrite every URI in an HLS master or media playlist to go through the bridge
+ * @param {string} playlist - Raw playlist text from Jellyfin
+ * @param {Object} options - Rewrite options
+ * @param {string} options.playlistPath - Upstream path of the playlist (e.g. /Videos/{id}/master.m3u8)
+ * @param {string} options.itemId - Jellyfin item ID
+ * @param {string} options.proxyBase - Bridge path segments are served from (e.g. /api/stream/{id}/segments)
+ * @param {Object} options.extraParams - Extra query parameters appended to every rewritten URI
+ * @returns {string} Rewritten playlist
+ */
+function rewritePlaylist(playlist, options) {
+  const base = new URL(options.playlistPath, UPSTREAM_ORIGIN);
+
+  return playlist.split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+
+    // Tags such as EXT-X-MEDIA, EXT-X-MAP and EXT-X-I-FRAME-STREAM-INF carry URI attributes
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${rewriteUri(uri, base, options)}"`);
+    }
+
+    return rewriteUri(trimmed, base, options);
+  }).join('\n');
+}
+
+module.exports = {
+  stripCredentials,
+  isPlaylistPath,
+  rewritePlaylist
+};
@@ -0,0 +1,148 @@
+/**
+ * Connection to Jellyfin's own WebSocket, used to learn about library and user data changes
+ * without polling. Only kept open while someone is listening.
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { getAuthData } = require('../entry/middleware/auth');
+
+const DEVICE_ID = 'resonite-api-server';
+const MIN_RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// Emits 'library' and 'userData' with the message data from Jellyfin
+const jellyfinEvents = new EventEmitter();
+
+let socket = null;
+let wanted = false;
+let connected = false;
+let reconnectDelay = MIN_RECONNECT_DELAY;
+let reconnectTimer = null;
+let keepAliveTimer = null;
+
+/**
+ * Build the Jellyfin socket URL from the HTTP server URL
+ */
+function buildSocketUrl(token) {
+  const url = new URL('/socket', process.env.JELLYFIN_SERVER);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.searchParams.set('api_key', token);
+  url.searchParams.set('deviceId', DEVICE_ID);
+  return url.toString();
+}
+
+/**
+ * Schedule another connection attempt with exponential backoff
+ */
+function scheduleReconnect() {
+  if (!wanted || reconnectTimer) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, reconnectDelay);
+  reconnectTimer.unref();
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+}
+
+/**
+ * Handle one message from Jellyfin
+ */
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  switch (message.MessageType) {
+    case 'ForceKeepAlive': {
+      // Jellyfin drops sockets that stay silent for longer than the interval it announces
+      const interval = Math.max(5, (message.Data || 60) / 2) * 1000;
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = setInterval(() => {
+        if (socket?.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ MessageType: 'KeepAlive' }));
+        }
+      }, interval);
+      keepAliveTimer.unref();
+      break;
+    }
+    case 'LibraryChanged':
+      jellyfinEvents.emit('library', message.Data || {});
+      break;
+    case 'UserDataChanged':
+      jellyfinEvents.emit('userData', message.Data || {});
+      break;
+  }
+}
+
+/**
+ * Open the socket with the bridge's current Jellyfin token
+ */
+async function connect() {
+  if (!wanted || socket) return;
+
+  let token;
+  try {
+    ({ token } = await getAuthData());
+  } catch (error) {
+    console.error('Jellyfin event socket: authentication unavailable:', error.message);
+    return scheduleReconnect();
+  }
+  if (!wanted || socket) return;
+
+  socket = new WebSocket(buildSocketUrl(token));
+
+  socket.on('open', () => {
+    connected = true;
+    reconnectDelay = MIN_RECONNECT_DELAY;
+    console.log('Jellyfin event socket connected');
+  });
+  socket.on('message', handleMessage);
+  socket.on('error', error => {
+    console.error('Jellyfin event socket error:', error.message);
+  });
+  socket.on('close', () => {
+    if (connected) {
+      console.log('Jellyfin event socket closed');
+    }
+    socket = null;
+    connected = false;
+    clearInterval(keepAliveTimer);
+    scheduleReconnect();
+  });
+}
+
+/**
+ * Open or close the Jellyfin socket depending on whether anyone needs its events
+ * @param {boolean} needed - True while at least one client listens for library events
+ */
+function setJellyfinEventsWanted(needed) {
+  if (needed === wanted) return;
+  wanted = needed;
+
+  if (wanted) {
+    connect();
+    return;
+  }
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectDelay = MIN_RECONNECT_DELAY;
+  socket?.close();
+}
+
+/**
+ * Check whether the Jellyfin socket is currently open
+ */
+function isJellyfinEventsConnected() {
+  return connected;
+}
+
+module.exports = {
+  jellyfinEvents,
+  setJellyfinEventsWanted,
+  isJellyfinEventsConnected
+};
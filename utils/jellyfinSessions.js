@@ -0,0 +1,58 @@
+/**
+ * Helpers for reading Jellyfin's own view of active playback sessions
+ */
+
+const { getAuthenticatedAxios } = require('../entry/middleware/auth');
+
+/**
+ * Get the sessions Jellyfin saw active in the last minute
+ * @returns {Promise<Array>} Jellyfin sessions, empty if the request fails
+ */
+async function fetchJellyfinSessions() {
+  try {
+    const axios = await getAuthenticatedAxios();
+    const response = await axios.get('/Sessions', {
+      params: { ActiveWithinSeconds: 60 },
+      timeout: 5000
+    });
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Pull transcode state and progress out of a Jellyfin session
+ * @param {Object} session - Jellyfin session
+ * @returns {Object|null} Transcoding details, or null if the session is not transcoding
+ */
+function extractTranscodingInfo(session) {
+  const info = session?.TranscodingInfo;
+  if (!info) return null;
+  const rawCompletion = info.CompletionPercentage ?? info.CompletionPercent ?? info.Progress;
+  let completionPercent = null;
+  if (rawCompletion !== undefined && rawCompletion !== null && !Number.isNaN(Number(rawCompletion))) {
+    const numericCompletion = Number(rawCompletion);
+    completionPercent = numericCompletion <= 1
+      ? Math.round(numericCompletion * 1000) / 10
+      : Math.round(numericCompletion * 10) / 10;
+  }
+
+  return {
+    isTranscoding: !(info.IsVideoDirect && info.IsAudioDirect),
+    completionPercent,
+    bitrate: info.Bitrate || null,
+    framerate: info.Framerate || info.TranscodeFramerate || null,
+    width: info.Width || null,
+    height: info.Height || null,
+    videoCodec: info.VideoCodec || null,
+    audioCodec: info.AudioCodec || null,
+    container: info.Container || null,
+    reasons: info.TranscodeReasons || []
+  };
+}
+
+module.exports = {
+  fetchJellyfinSessions,
+  extractTranscodingInfo
+};
@@ -0,0 +1,102 @@
+/**
+ * Skippable segments (intro, recap, preview, outro) for "Skip intro" style controls
+ */
+
+const SEGMENT_TYPES = ['intro', 'recap', 'preview', 'outro'];
+
+// Chapter names that mark a segment when the server has no MediaSegments data
+const CHAPTER_PATTERNS = {
+  intro: /^(intro|opening|op|opening credits|title sequence)\b/i,
+  recap: /^(recap|previously)\b/i,
+  preview: /^(preview|next episode|next time)\b/i,
+  outro: /^(outro|ending|ed|credits|end credits|closing credits)\b/i
+};
+
+/**
+ * Convert ticks to seconds
+ */
+function toSeconds(ticks) {
+  return Math.round(ticks / 10000000);
+}
+
+/**
+ * Build the empty segment map
+ */
+function emptySegments(source) {
+  const segments = { source };
+  for (const type of SEGMENT_TYPES) {
+    segments[type] = null;
+  }
+  return segments;
+}
+
+/**
+ * Derive segments from chapter names, each ending where the next chapter starts
+ * @param {Array} chapters - Jellyfin chapters
+ * @param {number} runTimeTicks - Item runtime, used as the end of the last chapter
+ * @returns {Object} Segment map with source "chapters", or "none" if no chapter matched
+ */
+function segmentsFromChapters(chapters, runTimeTicks) {
+  const segments = emptySegments('none');
+  const sorted = [...(chapters || [])].sort((a, b) => a.StartPositionTicks - b.StartPositionTicks);
+
+  sorted.forEach((chapter, index) => {
+    const name = (chapter.Name || '').trim();
+    const type = SEGMENT_TYPES.find(candidate => CHAPTER_PATTERNS[candidate].test(name));
+    if (!type || segments[type]) return;
+
+    const endTicks = sorted[index + 1]?.StartPositionTicks ?? runTimeTicks;
+    if (!endTicks || endTicks <= chapter.StartPositionTicks) return;
+
+    segments[type] = {
+      start: toSeconds(chapter.StartPositionTicks),
+      end: toSeconds(endTicks),
+      chapter: name
+    };
+    segments.source = 'chapters';
+  });
+
+  return segments;
+}
+
+/**
+ * Get an item's skippable segments from Jellyfin's MediaSegments API (10.10+),
+ * falling back to chapter names on older servers or when no segments were detected
+ * @param {Object} axios - Authenticated Jellyfin client
+ * @param {Object} item - Jellyfin item including Chapters and RunTimeTicks
+ * @returns {Promise<Object>} { source, intro, recap, preview, outro }, each segment { start, end } in seconds or null
+ */
+async function getMediaSegments(axios, item) {
+  try {
+    const response = await axios.get(`/MediaSegments/${item.Id}`, {
+      params: { includeSegmentTypes: ['Intro', 'Recap', 'Preview', 'Outro'] },
+      paramsSerializer: { indexes: null },
+      timeout: 5000
+    });
+
+    const segments = emptySegments('jellyfin');
+    for (const segment of response.data?.Items || []) {
+      const type = (segment.Type || '').toLowerCase();
+      if (!SEGMENT_TYPES.includes(type) || segments[type]) continue;
+      segments[type] = {
+        start: toSeconds(segment.StartTicks),
+        end: toSeconds(segment.EndTicks)
+      };
+    }
+
+    if (SEGMENT_TYPES.some(type => segments[type])) {
+      return segments;
+    }
+  } catch (error) {
+    // Servers before 10.10 have no MediaSegments endpoint
+    if (error.response?.status !== 404) {
+      console.warn('Failed to get media segments:', error.message);
+    }
+  }
+
+  return segmentsFromChapters(item.Chapters, item.RunTimeTicks);
+}
+
+module.exports = {
+  getMediaSegments
+};
@@ -0,0 +1,296 @@
+/**
+ * Server-side playback sessions: reports start, progress and stop to Jellyfin
+ * for streams proxied through the bridge, whether or not the client reports itself
+ */
+
+const { EventEmitter } = require('events');
+const { getAuthenticatedAxios } = require('../entry/middleware/auth');
+
+const TICKS_PER_SECOND = 10000000;
+const IDLE_TIMEOUT = (parseInt(process.env.PLAYBACK_IDLE_TIMEOUT) || 60) * 1000;
+const PROGRESS_INTERVAL = 10000;
+// Players reopen progressive streams with a new Range request when seeking
+const RECONNECT_GRACE = 10000;
+// Estimates are only sent while the client has not reported for itself recently
+const CLIENT_REPORT_GRACE = 30000;
+// Sessions ended for idling can be resumed for as long as their stream token lives
+const RESUME_WINDOW = (parseInt(process.env.STREAM_TOKEN_TTL) || 21600) * 1000;
+
+// Keyed by Jellyfin PlaySessionId; also exposed as serverStats.activeStreams
+const sessions = new Map();
+// Sessions ended by the idle sweep, keyed by PlaySessionId: { details, positionTicks, endedAt }
+const idleSessions = new Map();
+// What each session was started with, so an idle one can be started again
+const startDetails = new WeakMap();
+
+// Emits 'started', 'progress' and 'stopped' with the session
+const sessionEvents = new EventEmitter();
+
+/**
+ * Post a playback report to Jellyfin as the user who started the stream, logging instead of throwing
+ */
+async function sendReport(path, session) {
+  try {
+    const axios = await getAuthenticatedAxios(session.clientId);
+    await axios.post(path, {
+      ItemId: session.itemId,
+      PlaySessionId: session.sessionId,
+      MediaSourceId: session.mediaSourceId || session.itemId,
+      AudioStreamIndex: session.audioStreamIndex,
+      SubtitleStreamIndex: session.subtitleStreamIndex,
+      PlayMethod: session.playMethod,
+      PositionTicks: Math.round(session.positionTicks),
+      IsPaused: session.isPaused
+    });
+    return true;
+  } catch (error) {
+    console.error(`Playback report ${path} failed for session ${session.sessionId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Start (or rejoin) a playback session and report it to Jellyfin
+ * @param {Object} info - Session details
+ * @param {string} info.playSessionId - Jellyfin PlaySessionId
+ * @param {string} info.itemId - Jellyfin item ID
+ * @param {string} info.playMethod - DirectPlay, DirectStream or Transcode
+ * @param {number} info.startPositionTicks - Position the stream starts at
+ * @param {number} info.runTimeTicks - Item duration, used to estimate position from byte offsets
+ * @param {number} info.sizeBytes - File size for static streams, used with runTimeTicks
+ * @param {number} info.bitrate - Stream bitrate, used to estimate position from bytes sent
+ * @returns {Object} Session
+ */
+function startPlaybackSession(info) {
+  const existing = sessions.get(info.playSessionId);
+  if (existing) {
+    existing.lastActivity = Date.now();
+    return existing;
+  }
+
+  const now = Date.now();
+  const { playSessionId, startPositionTicks = 0, ...details } = info;
+  const session = {
+    ...details,
+    sessionId: playSessionId,
+    playSessionId,
+    startTime: now,
+    lastActivity: now,
+    startPositionTicks,
+    positionTicks: startPositionTicks,
+    isPaused: false,
+    connections: 0,
+    bytesTransferred: 0,
+    lastClientReport: 0,
+    lastReportedTicks: startPositionTicks,
+    progressSource: 'start'
+  };
+  sessions.set(playSessionId, session);
+  startDetails.set(session, info);
+  idleSessions.delete(playSessionId);
+
+  console.log(`Playback session ${playSessionId} started for ${session.itemName || session.itemId} (${session.playMethod})`);
+  sendReport('/Sessions/Playing', session);
+  sessionEvents.emit('started', session);
+  return session;
+}
+
+/**
+ * Get a playback session by PlaySessionId
+ * @param {string} playSessionId - Jellyfin PlaySessionId
+ * @returns {Object|undefined} Session
+ */
+function getPlaybackSession(playSessionId) {
+  return playSessionId ? sessions.get(playSessionId) : undefined;
+}
+
+/**
+ * Get the live session map (used as serverStats.activeStreams)
+ * @returns {Map} Sessions keyed by PlaySessionId
+ */
+function getActiveSessions() {
+  return sessions;
+}
+
+/**
+ * Track one proxied progressive HTTP response belonging to a session.
+ * When the last connection closes and no new one arrives shortly after, the session stops.
+ * @param {Object} session - Session from startPlaybackSession
+ * @param {number} rangeStart - First byte requested (0 without a Range header)
+ * @returns {{addBytes: Function, close: Function}} Connection handle
+ */
+function attachConnection(session, rangeStart = 0) {
+  let bytes = 0;
+  let closed = false;
+  session.connections++;
+  session.lastActivity = Date.now();
+
+  return {
+    addBytes(length) {
+      bytes += length;
+      session.bytesTransferred += length;
+      session.lastActivity = Date.now();
+
+      // Static files map byte offsets onto the timeline; streams map bytes sent onto elapsed time
+      if (session.sizeBytes > 0 && session.runTimeTicks > 0) {
+        const fraction = Math.min(1, (rangeStart + bytes) / session.sizeBytes);
+        estimatePosition(session, fraction * session.runTimeTicks);
+      } else if (session.bitrate > 0) {
+        const seconds = (bytes * 8) / session.bitrate;
+        estimatePosition(session, session.startPositionTicks + seconds * TICKS_PER_SECOND);
+      }
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      session.connections = Math.max(0, session.connections - 1);
+      session.lastActivity = Date.now();
+
+      if (session.connections === 0) {
+        setTimeout(() => {
+          if (sessions.get(session.sessionId) === session && session.connections === 0) {
+            stopPlaybackSession(session.sessionId, 'disconnected');
+          }
+        }, RECONNECT_GRACE).unref();
+      }
+    }
+  };
+}
+
+/**
+ * Record an estimated position unless the client is reporting for itself
+ */
+function estimatePosition(session, positionTicks) {
+  if (Date.now() - session.lastClientReport < CLIENT_REPORT_GRACE) return;
+  if (session.runTimeTicks > 0) {
+    positionTicks = Math.min(positionTicks, session.runTimeTicks);
+  }
+  session.positionTicks = positionTicks;
+  session.progressSource = 'estimate';
+}
+
+/**
+ * Record an HLS segment fetch; Jellyfin segment URLs carry their start time in runtimeTicks
+ * @param {string} playSessionId - Jellyfin PlaySessionId
+ * @param {number} runtimeTicks - Segment start position, if known
+ * @returns {boolean} True if the session exists
+ */
+function touchPlaybackSession(playSessionId, runtimeTicks) {
+  const session = sessions.get(playSessionId);
+  if (!session) return false;
+
+  session.lastActivity = Date.now();
+  if (Number.isFinite(runtimeTicks)) {
+    estimatePosition(session, runtimeTicks);
+  }
+  return true;
+}
+
+/**
+ * Start a session again that the idle sweep ended, e.g. for an HLS player paused past
+ * PLAYBACK_IDLE_TIMEOUT; Jellyfin gets a new start report at the resume position
+ * @param {string} playSessionId - Jellyfin PlaySessionId
+ * @param {number} positionTicks - Position playback resumes at, if known
+ * @returns {Object|null} The restarted session, or null if it did not end idle recently
+ */
+function resumePlaybackSession(playSessionId, positionTicks) {
+  const idle = idleSessions.get(playSessionId);
+  if (!idle) return null;
+
+  return startPlaybackSession({
+    ...idle.details,
+    startPositionTicks: Number.isFinite(positionTicks) ? positionTicks : idle.positionTicks
+  });
+}
+
+/**
+ * Forward a position reported by the client
+ * @param {Object} session - Session
+ * @param {Object} progress - Reported progress
+ * @param {number} progress.positionTicks - Position in ticks
+ * @param {boolean} progress.isPaused - Paused state
+ * @param {string} progress.playMethod - Optional play method override
+ * @returns {Promise<boolean>} True if Jellyfin accepted the report
+ */
+function reportClientProgress(session, { positionTicks, isPaused = false, playMethod }) {
+  const now = Date.now();
+  session.positionTicks = positionTicks;
+  session.isPaused = isPaused;
+  session.lastActivity = now;
+  session.lastClientReport = now;
+  session.lastReportedTicks = positionTicks;
+  session.progressSource = 'client';
+  if (playMethod) {
+    session.playMethod = playMethod;
+  }
+  sessionEvents.emit('progress', session);
+  return sendReport('/Sessions/Playing/Progress', session);
+}
+
+/**
+ * End a session and report it stopped
+ * @param {string} playSessionId - Jellyfin PlaySessionId
+ * @param {string} reason - Why the session ended (client, idle, stale)
+ * @param {number} positionTicks - Final position, if the client supplied one
+ * @returns {Promise<boolean>} False if there was no such session
+ */
+async function stopPlaybackSession(playSessionId, reason, positionTicks) {
+  const session = sessions.get(playSessionId);
+  if (!session) return false;
+
+  sessions.delete(playSessionId);
+  if (typeof positionTicks === 'number') {
+    session.positionTicks = positionTicks;
+  }
+
+  const duration = Math.round((Date.now() - session.startTime) / 1000);
+  console.log(`Playback session ${playSessionId} stopped (${reason}) after ${duration}s`);
+  sessionEvents.emit('stopped', session, reason);
+  await sendReport('/Sessions/Playing/Stopped', session);
+  return true;
+}
+
+/**
+ * Send estimated progress for silent clients and stop sessions with no open connections
+ */
+function sweepSessions() {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    if (session.connections === 0 && now - session.lastActivity > IDLE_TIMEOUT) {
+      idleSessions.set(session.sessionId, {
+        details: startDetails.get(session),
+        positionTicks: session.positionTicks,
+        endedAt: now
+      });
+      stopPlaybackSession(session.sessionId, 'idle');
+      continue;
+    }
+
+    const clientSilent = now - session.lastClientReport > CLIENT_REPORT_GRACE;
+    if (clientSilent && Math.round(session.positionTicks) !== Math.round(session.lastReportedTicks)) {
+      session.lastReportedTicks = session.positionTicks;
+      sessionEvents.emit('progress', session);
+      sendReport('/Sessions/Playing/Progress', session);
+    }
+  }
+
+  for (const [playSessionId, idle] of idleSessions) {
+    if (now - idle.endedAt > RESUME_WINDOW) {
+      idleSessions.delete(playSessionId);
+    }
+  }
+}
+
+setInterval(sweepSessions, PROGRESS_INTERVAL).unref();
+
+module.exports = {
+  sessionEvents,
+  startPlaybackSession,
+  getPlaybackSession,
+  getActiveSessions,
+  attachConnection,
+  touchPlaybackSession,
+  resumePlaybackSession,
+  reportClientProgress,
+  stopPlaybackSession
+};
@@ -0,0 +1,193 @@
+/**
+ * Disk-backed LRU cache for proxied HLS segments, shared by everyone watching the same stream
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatBytes } = require('./helpers');
+
+const CACHE_DIR = process.env.SEGMENT_CACHE_DIR || path.join(os.tmpdir(), 'jellyfin-resonite-segments');
+// Size cap in MB; 0 disables the cache
+const CONFIGURED_SIZE = parseInt(process.env.SEGMENT_CACHE_MAX_SIZE);
+const MAX_SIZE = (isNaN(CONFIGURED_SIZE) ? 1024 : CONFIGURED_SIZE) * 1024 * 1024;
+const FILE_EXTENSION = '.seg';
+
+// Parameters that differ per viewer but not per segment content
+const VOLATILE_PARAMS = new Set(['playsessionid', 'deviceid', 'userid', 'api_key', 'apikey', 'token']);
+
+// Map iteration order doubles as LRU order: oldest first
+const entries = new Map();
+const inflight = new Map();
+let diskUsage = 0;
+
+const cacheStats = {
+  hits: 0,
+  misses: 0,
+  coalesced: 0,
+  evictions: 0,
+  errors: 0
+};
+
+/**
+ * Remove segment files left behind by a previous run; the index lives in memory only
+ */
+function resetCacheDir() {
+  if (!MAX_SIZE) return;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    for (const file of fs.readdirSync(CACHE_DIR)) {
+      if (file.endsWith(FILE_EXTENSION) || file.endsWith(`${FILE_EXTENSION}.tmp`)) {
+        fs.unlinkSync(path.join(CACHE_DIR, file));
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to prepare segment cache directory ${CACHE_DIR}:`, error.message);
+  }
+}
+
+resetCacheDir();
+
+/**
+ * Check whether the segment cache is enabled
+ * @returns {boolean} False when SEGMENT_CACHE_MAX_SIZE is 0
+ */
+function isSegmentCacheEnabled() {
+  return MAX_SIZE > 0;
+}
+
+/**
+ * Build a cache key from what determines a segment's content
+ * @param {string} itemId - Jellyfin item ID
+ * @param {string} mediaSourceId - Jellyfin media source ID
+ * @param {string} segmentPath - Path below /Videos/{itemId}/
+ * @param {Object} params - Upstream query (transcode parameters)
+ * @returns {string} Cache key
+ */
+function buildSegmentKey(itemId, mediaSourceId, segmentPath, params) {
+  const transcodeParams = Object.entries(params || {})
+    .filter(([key]) => !VOLATILE_PARAMS.has(key.toLowerCase()))
+    .map(([key, value]) => `${key.toLowerCase()}=${value}`)
+    .sort()
+    .join('&');
+  return crypto.createHash('sha256')
+    .update(`${itemId}|${mediaSourceId || ''}|${segmentPath}|${transcodeParams}`)
+    .digest('hex');
+}
+
+/**
+ * Drop least recently used entries until the cache fits its size cap
+ */
+function evict() {
+  for (const [key, entry] of entries) {
+    if (diskUsage <= MAX_SIZE) break;
+    entries.delete(key);
+    diskUsage -= entry.size;
+    cacheStats.evictions++;
+    fs.promises.unlink(entry.file).catch(() => {});
+  }
+}
+
+/**
+ * Open a cached segment file right away, so a later eviction cannot unlink it before it is read
+ * @returns {fs.ReadStream|null} Stream over the file, or null when the file is gone
+ */
+function openCachedFile(entry) {
+  try {
+    return fs.createReadStream(entry.file, { fd: fs.openSync(entry.file, 'r') });
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Download a segment and store it on disk
+ */
+async function fetchAndStore(key, fetcher) {
+  const { data, contentType } = await fetcher();
+  const file = path.join(CACHE_DIR, `${key}${FILE_EXTENSION}`);
+  const entry = { file, size: data.length, contentType };
+
+  // Segments bigger than the whole cache are served but not kept
+  if (entry.size <= MAX_SIZE) {
+    try {
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+      entries.set(key, entry);
+      diskUsage += entry.size;
+      evict();
+    } catch (error) {
+      cacheStats.errors++;
+      console.error('Failed to write segment to cache:', error.message);
+    }
+  }
+
+  return { ...entry, data };
+}
+
+/**
+ * Get a segment from the cache, fetching it once for all concurrent requesters on a miss
+ * @param {string} key - Key from buildSegmentKey
+ * @param {Function} fetcher - Async function resolving to { data: Buffer, contentType }
+ * @returns {Promise<Object>} { status, size, contentType } plus either data (Buffer) or stream (open file)
+ */
+async function getSegment(key, fetcher) {
+  const cached = entries.get(key);
+  if (cached) {
+    entries.delete(key);
+    const stream = openCachedFile(cached);
+    if (stream) {
+      entries.set(key, cached);
+      cacheStats.hits++;
+      return { status: 'HIT', stream, size: cached.size, contentType: cached.contentType };
+    }
+    // The file disappeared underneath the index; forget it and fetch the segment again
+    diskUsage -= cached.size;
+    cacheStats.errors++;
+  }
+
+  if (inflight.has(key)) {
+    cacheStats.coalesced++;
+    const { data, size, contentType } = await inflight.get(key);
+    return { status: 'COALESCED', data, size, contentType };
+  }
+
+  cacheStats.misses++;
+  const pending = fetchAndStore(key, fetcher);
+  inflight.set(key, pending);
+  try {
+    const { data, size, contentType } = await pending;
+    return { status: 'MISS', data, size, contentType };
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+/**
+ * Get cache counters for the admin panel
+ */
+function getSegmentCacheStats() {
+  const lookups = cacheStats.hits + cacheStats.coalesced + cacheStats.misses;
+  return {
+    enabled: isSegmentCacheEnabled(),
+    directory: CACHE_DIR,
+    ...cacheStats,
+    // Coalesced requests were served without their own upstream fetch, so they count as hits
+    hitRate: lookups > 0 ? Math.round(((cacheStats.hits + cacheStats.coalesced) / lookups) * 1000) / 10 : 0,
+    entries: entries.size,
+    inflight: inflight.size,
+    diskUsage,
+    diskUsageFormatted: formatBytes(diskUsage),
+    maxSize: MAX_SIZE,
+    maxSizeFormatted: formatBytes(MAX_SIZE)
+  };
+}
+
+module.exports = {
+  isSegmentCacheEnabled,
+  buildSegmentKey,
+  getSegment,
+  getSegmentCacheStats
+};
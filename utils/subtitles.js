@@ -0,0 +1,200 @@
+/**
+ * Subtitle parsing and conversion for the Jellyfin-Resonite API
+ */
+
+// Image-based codecs cannot be converted to text and have to be burned in
+const IMAGE_SUBTITLE_CODECS = new Set([
+  'pgssub', 'hdmv_pgs_subtitle', 'pgs', 'dvdsub', 'dvd_subtitle', 'vobsub', 'dvbsub', 'dvb_subtitle', 'xsub'
+]);
+
+// Formats we parse ourselves; other text codecs are requested from Jellyfin as SRT
+const NATIVE_FORMATS = {
+  subrip: 'srt',
+  srt: 'srt',
+  ass: 'ass',
+  ssa: 'ssa',
+  webvtt: 'vtt',
+  vtt: 'vtt'
+};
+
+/**
+ * Check whether a Jellyfin subtitle stream is text-based
+ * @param {Object} stream - Jellyfin media stream
+ * @returns {boolean} True if the track can be converted to text cues
+ */
+function isTextSubtitle(stream) {
+  if (!stream) return false;
+  if (typeof stream.IsTextSubtitleStream === 'boolean') {
+    return stream.IsTextSubtitleStream;
+  }
+  return !IMAGE_SUBTITLE_CODECS.has((stream.Codec || '').toLowerCase());
+}
+
+/**
+ * Get the format to request from Jellyfin for a subtitle codec
+ * @param {string} codec - Jellyfin subtitle codec
+ * @returns {string} File extension understood by the Jellyfin subtitle endpoint
+ */
+function getSourceFormat(codec) {
+  return NATIVE_FORMATS[(codec || '').toLowerCase()] || 'srt';
+}
+
+/**
+ * Parse an SRT/VTT timestamp (00:01:02,345 / 01:02.345) into seconds
+ */
+function parseTimestamp(value) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/.exec(value || '');
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) +
+    parseInt(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Parse an ASS/SSA timestamp (0:01:02.34) into seconds
+ */
+function parseAssTimestamp(value) {
+  const match = /(\d+):(\d{1,2}):(\d{1,2})\.(\d{1,3})/.exec(value || '');
+  if (!match) return null;
+  const [, hours, minutes, seconds, fraction] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) +
+    parseInt(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Strip ASS override blocks and HTML-style tags, leaving plain text
+ * @param {string} text - Cue text
+ * @returns {string} Plain text with line breaks preserved
+ */
+function stripStyling(text) {
+  return text
+    .replace(/\{[^}]*\}/g, '')
+    .replace(/\\[Nn]/g, '\n')
+    .replace(/\\h/g, ' ')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Parse SRT or WebVTT text into cues
+ */
+function parseTimedBlocks(text) {
+  const cues = [];
+  const blocks = text.replace(/\r/g, '').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startRaw, endRaw] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startRaw);
+    const end = parseTimestamp(endRaw);
+    const cueText = stripStyling(lines.slice(timingIndex + 1).join('\n'));
+
+    if (start !== null && end !== null && cueText) {
+      cues.push({ start, end, text: cueText });
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Parse the [Events] section of an ASS/SSA file into cues
+ */
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let fields = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+  for (const rawLine of text.replace(/\r/g, '').split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      inEvents = line.toLowerCase() === '[events]';
+      continue;
+    }
+    if (!inEvents) continue;
+
+    if (line.toLowerCase().startsWith('format:')) {
+      fields = line.slice(7).split(',').map(f => f.trim().toLowerCase());
+      continue;
+    }
+    if (!line.toLowerCase().startsWith('dialogue:')) continue;
+
+    // The text field is last and may itself contain commas
+    const parts = line.slice(9).split(',');
+    const values = parts.slice(0, fields.length - 1);
+    values.push(parts.slice(fields.length - 1).join(','));
+    const event = Object.fromEntries(fields.map((field, i) => [field, (values[i] || '').trim()]));
+
+    const start = parseAssTimestamp(event.start);
+    const end = parseAssTimestamp(event.end);
+    const cueText = stripStyling(event.text || '');
+
+    if (start !== null && end !== null && cueText) {
+      cues.push({ start, end, text: cueText });
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse subtitle text into a cue timeline
+ * @param {string} text - Raw subtitle file contents
+ * @param {string} format - Source format: 'srt', 'vtt', 'ass' or 'ssa'
+ * @returns {Array<{start: number, end: number, text: string}>} Cues with times in seconds
+ */
+function parseSubtitles(text, format) {
+  const cues = format === 'ass' || format === 'ssa'
+    ? parseAss(text)
+    : parseTimedBlocks(text);
+
+  return cues.map(cue => ({
+    start: Math.round(cue.start * 1000) / 1000,
+    end: Math.round(cue.end * 1000) / 1000,
+    text: cue.text
+  }));
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (00:01:02.345)
+ */
+function formatVttTimestamp(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Serialize cues as a WebVTT document
+ * @param {Array} cues - Cues from parseSubtitles
+ * @returns {string} WebVTT text
+ */
+function toWebVtt(cues) {
+  const body = cues.map(cue => {
+    const text = cue.text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${text}`;
+  }).join('\n\n');
+
+  return `WEBVTT\n\n${body}${body ? '\n' : ''}`;
+}
+
+module.exports = {
+  isTextSubtitle,
+  getSourceFormat,
+  stripStyling,
+  parseSubtitles,
+  toWebVtt
+};
@@ -0,0 +1,77 @@
+/**
+ * Line-based text serialization for clients without a JSON parser (ProtoFlux in Resonite).
+ *
+ * Every value becomes one "path=value" line. Object keys are joined with ".", array
+ * elements use their index and every array also gets a "path.#=<length>" line:
+ *
+ *   @status=200
+ *   items.#=2
+ *   items.0.id=abc
+ *   items.0.name=Movie
+ *   items.1.id=def
+ *
+ * Values are escaped so a line never spans more than one line: "\" becomes "\\",
+ * a newline "\n" and a carriage return "\r". Keys additionally escape "." as "\." and
+ * "=" as "\=". null is written as an empty value, booleans as true/false.
+ *
+ * Lines starting with "@" come first and describe the message rather than the body
+ * (HTTP status for responses, topic and event for WebSocket messages).
+ */
+
+/**
+ * Escape a value so it fits on one line
+ */
+function escapeValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Escape an object key so it cannot be mistaken for a path separator or the value delimiter
+ */
+function escapeKey(key) {
+  return escapeValue(key)
+    .replace(/\./g, '\\.')
+    .replace(/=/g, '\\=');
+}
+
+/**
+ * Append the lines for one value
+ */
+function writeValue(lines, path, value) {
+  if (Array.isArray(value)) {
+    lines.push(`${path ? `${path}.` : ''}#=${value.length}`);
+    value.forEach((element, index) => writeValue(lines, path ? `${path}.${index}` : String(index), element));
+    return;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      writeValue(lines, path ? `${path}.${escapeKey(key)}` : escapeKey(key), child);
+    }
+    return;
+  }
+
+  // A bare scalar body has no key of its own
+  lines.push(`${path || 'value'}=${value === null ? '' : escapeValue(value)}`);
+}
+
+/**
+ * Serialize a JSON body into the text format
+ * @param {*} body - Anything res.json() accepts
+ * @param {Object} header - Values written first as "@key=value" lines
+ * @returns {string} Newline-terminated text
+ */
+function toText(body, header = {}) {
+  // Round-trip through JSON so the text carries exactly what the JSON response would
+  const data = body === undefined ? null : JSON.parse(JSON.stringify(body));
+  const lines = Object.entries(header).map(([key, value]) => `@${key}=${escapeValue(value)}`);
+  writeValue(lines, '', data);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  toText
+};
@@ -0,0 +1,281 @@
+/**
+ * User registry: maps bridge clients (X-API-Key values or IP addresses) to their own Jellyfin
+ * accounts, so each person's watch history, resume points and favorites stay their own.
+ * Clients that are not registered use the default account from JELLYFIN_USERNAME, or
+ * JELLYFIN_API_KEY with JELLYFIN_USER_ID / JELLYFIN_USERNAME.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const USERS_FILE = process.env.USERS_FILE ||
+  path.join(__dirname, '..', 'config', 'users.json');
+// Written by the bridge, so it lives apart from config/, which is usually mounted read-only
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+// Accounts linked through Quick Connect pairing
+const PAIRED_USERS_FILE = process.env.PAIRED_USERS_FILE || path.join(DATA_DIR, 'paired-users.json');
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Hash an API key so it can be used as a client ID without exposing it
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Client ID for a configured client: an IP address or an API key
+ */
+function toClientId(client) {
+  return net.isIP(client) ? `ip:${client}` : `key:${hashKey(client)}`;
+}
+
+/**
+ * API key a request carries: the X-API-Key header, or ?apiKey= for clients that can only set a URL
+ * @param {Object} req - Express request, or a Node request such as a WebSocket upgrade
+ * @returns {string|null} API key
+ */
+function getApiKey(req) {
+  const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const apiKey = req.headers['x-api-key'] || query.apiKey;
+  return typeof apiKey === 'string' && apiKey ? apiKey : null;
+}
+
+/**
+ * Identify the client behind a request by whichever of its API key and IP address selects a
+ * user (the key first), so sessions and stream tokens belong to the account that matched.
+ * Unregistered clients are identified by their API key if they sent one, otherwise their IP.
+ * @param {Object} req - Express request
+ * @returns {string} Client ID ("key:<hash>" or "ip:<address>")
+ */
+function getClientId(req) {
+  const apiKey = getApiKey(req);
+  const keyClientId = apiKey ? `key:${hashKey(apiKey)}` : null;
+  if (keyClientId && registry.clients.has(keyClientId)) {
+    return keyClientId;
+  }
+
+  // Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d
+  const address = (req.ip || req.socket?.remoteAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const ipClientId = `ip:${address}`;
+  return keyClientId && !registry.clients.has(ipClientId) ? keyClientId : ipClientId;
+}
+
+/**
+ * The default account: signed in with a password, or acting as a user through an API key
+ */
+function defaultAccount() {
+  if (process.env.JELLYFIN_API_KEY) {
+    return {
+      name: DEFAULT_ACCOUNT,
+      apiKey: process.env.JELLYFIN_API_KEY,
+      userId: process.env.JELLYFIN_USER_ID,
+      username: process.env.JELLYFIN_USERNAME
+    };
+  }
+  return {
+    name: DEFAULT_ACCOUNT,
+    username: process.env.JELLYFIN_USERNAME,
+    password: process.env.JELLYFIN_PASSWORD
+  };
+}
+
+/**
+ * Load registered accounts and index them by client ID
+ */
+function loadRegistry() {
+  const accounts = new Map([[DEFAULT_ACCOUNT, defaultAccount()]]);
+  const clients = new Map();
+
+  if (!fs.existsSync(USERS_FILE)) {
+    return { accounts, clients };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+    const users = config.users || config;
+    for (const [name, definition] of Object.entries(users)) {
+      if (name === DEFAULT_ACCOUNT) {
+        console.warn(`User "${DEFAULT_ACCOUNT}" is reserved for the account configured in .env, skipping`);
+        continue;
+      }
+      if (!definition.token && !definition.username) {
+        console.warn(`User "${name}" has neither a token nor a username, skipping`);
+        continue;
+      }
+
+      accounts.set(name, {
+        name,
+        username: definition.username,
+        password: definition.password || '',
+        token: definition.token,
+        scopes: definition.scopes
+      });
+      for (const client of [...(definition.apiKeys || []), ...(definition.clients || [])]) {
+        clients.set(toClientId(String(client).trim()), name);
+      }
+    }
+    console.log(`Loaded ${accounts.size - 1} user(s) from ${USERS_FILE}`);
+  } catch (error) {
+    console.error(`Failed to load users from ${USERS_FILE}:`, error.message);
+  }
+
+  return { accounts, clients };
+}
+
+/**
+ * Add accounts linked through pairing; only a hash of each client key is stored
+ */
+function loadPairedAccounts({ accounts, clients }) {
+  if (!fs.existsSync(PAIRED_USERS_FILE)) {
+    return;
+  }
+
+  try {
+    const { users = {} } = JSON.parse(fs.readFileSync(PAIRED_USERS_FILE, 'utf8'));
+    for (const [name, definition] of Object.entries(users)) {
+      if (accounts.has(name)) continue;
+      accounts.set(name, { name, token: definition.token, paired: true, ...pairedDetails(definition) });
+      clients.set(`key:${definition.keyHash}`, name);
+    }
+    console.log(`Loaded ${Object.keys(users).length} paired user(s) from ${PAIRED_USERS_FILE}`);
+  } catch (error) {
+    console.error(`Failed to load paired users from ${PAIRED_USERS_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Fields kept for a paired account besides its token
+ */
+function pairedDetails(definition) {
+  return {
+    keyHash: definition.keyHash,
+    jellyfinUser: definition.jellyfinUser,
+    pairedAt: definition.pairedAt
+  };
+}
+
+const registry = loadRegistry();
+loadPairedAccounts(registry);
+
+/**
+ * Write all paired accounts back to their file
+ * @throws {Error} When the file cannot be written, e.g. on a read-only mount
+ */
+function savePairedAccounts() {
+  const users = {};
+  for (const account of registry.accounts.values()) {
+    if (account.paired) {
+      users[account.name] = { token: account.token, ...pairedDetails(account) };
+    }
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(PAIRED_USERS_FILE), { recursive: true });
+    fs.writeFileSync(PAIRED_USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  } catch (error) {
+    console.error(`Failed to save paired users to ${PAIRED_USERS_FILE}:`, error.message);
+    throw new Error(`Could not save paired users to ${PAIRED_USERS_FILE} (${error.code || error.message}); ` +
+      'set DATA_DIR or PAIRED_USERS_FILE to a writable location');
+  }
+}
+
+/**
+ * Register an account linked through Quick Connect and issue the client key that selects it
+ * @param {Object} session - { token, userName } from the Jellyfin sign-in
+ * @returns {Object} { account, clientKey }; the key is only ever returned here
+ * @throws {Error} When the account cannot be saved; it is not registered then
+ */
+function addPairedAccount({ token, userName }) {
+  const clientKey = crypto.randomBytes(24).toString('base64url');
+  const keyHash = hashKey(clientKey);
+  const account = {
+    // The name ends up in a Jellyfin device ID, so keep it to safe characters
+    name: `${userName.replace(/[^\w.-]/g, '_')}-${keyHash.substring(0, 6)}`,
+    token,
+    paired: true,
+    keyHash,
+    jellyfinUser: userName,
+    pairedAt: new Date().toISOString()
+  };
+
+  registry.accounts.set(account.name, account);
+  registry.clients.set(`key:${keyHash}`, account.name);
+  try {
+    savePairedAccounts();
+  } catch (error) {
+    // A key that stops working on the next restart is worse than a failed pairing
+    registry.accounts.delete(account.name);
+    registry.clients.delete(`key:${keyHash}`);
+    throw error;
+  }
+  return { account, clientKey };
+}
+
+/**
+ * Remove a paired account and its client key
+ * @param {string} name - Account name
+ * @throws {Error} When the change cannot be saved; the account stays registered then
+ */
+function removeAccount(name) {
+  const account = registry.accounts.get(name);
+  if (!account?.paired) return;
+
+  registry.accounts.delete(name);
+  registry.clients.delete(`key:${account.keyHash}`);
+  try {
+    savePairedAccounts();
+  } catch (error) {
+    registry.accounts.set(name, account);
+    registry.clients.set(`key:${account.keyHash}`, name);
+    throw error;
+  }
+}
+
+/**
+ * Find the account a client is registered to, without falling back to the default account
+ * @param {string} clientId - Client ID from getClientId()
+ * @returns {Object|null} Account
+ */
+function findAccount(clientId) {
+  const name = registry.clients.get(clientId);
+  return name ? registry.accounts.get(name) : null;
+}
+
+/**
+ * Resolve the account a request (or a stored client ID) acts as
+ * @param {Object|string} [source] - Express request or client ID; omitted means the default account
+ * @returns {Object} Account { name, username, password, token } or { name, apiKey, userId, username }
+ */
+function resolveAccount(source) {
+  if (!source) {
+    return registry.accounts.get(DEFAULT_ACCOUNT);
+  }
+  // Proxied media requests act for whoever the stream token was issued to
+  const clientId = typeof source === 'string'
+    ? source
+    : source.streamToken?.clientId || getClientId(source);
+  return findAccount(clientId) || registry.accounts.get(DEFAULT_ACCOUNT);
+}
+
+/**
+ * List all accounts, the default one first
+ * @returns {Array} Accounts
+ */
+function listAccounts() {
+  return Array.from(registry.accounts.values());
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  hashKey,
+  getApiKey,
+  getClientId,
+  findAccount,
+  resolveAccount,
+  listAccounts,
+  addPairedAccount,
+  removeAccount
+};
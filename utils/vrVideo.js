@@ -0,0 +1,134 @@
+/**
+ * VR-relevant video properties: stereo layout, projection and dynamic range,
+ * normalized so a Resonite player can configure its screen mesh automatically
+ */
+
+const path = require('path');
+
+// Jellyfin Video3DFormat -> stereo layout; MVC keeps the second view in a separate stream, so players see 2D
+const STEREO_FORMATS = {
+  HalfSideBySide: { stereoMode: 'sbs', halfResolution: true },
+  FullSideBySide: { stereoMode: 'sbs', halfResolution: false },
+  HalfTopAndBottom: { stereoMode: 'tab', halfResolution: true },
+  FullTopAndBottom: { stereoMode: 'tab', halfResolution: false },
+  MVC: { stereoMode: 'mono', halfResolution: false }
+};
+
+// Tags and file name tokens used by VR players (DeoVR, HereSphere, Skybox) to mark layouts
+const STEREO_TOKENS = {
+  sbs: ['sbs', 'lr', 'rl', '3dh', 'sidebyside'],
+  tab: ['tab', 'tb', 'ou', 'bt', '3dv', 'overunder', 'topbottom']
+};
+const PROJECTION_TOKENS = {
+  equirectangular360: ['360', 'vr360', 'mono360', '360x180'],
+  equirectangular180: ['180', 'vr180', '180x180'],
+  fisheye180: ['fisheye', 'fisheye180', 'fisheye190', 'mkx200', 'rf52']
+};
+
+// Jellyfin VideoRangeType -> HDR format name
+const HDR_TYPES = {
+  SDR: 'SDR',
+  HDR10: 'HDR10',
+  HDR10Plus: 'HDR10+',
+  HLG: 'HLG',
+  DOVI: 'Dolby Vision',
+  DOVIWithHDR10: 'Dolby Vision',
+  DOVIWithHLG: 'Dolby Vision',
+  DOVIWithSDR: 'Dolby Vision'
+};
+
+/**
+ * Collect lowercase markers from an item's tags and underscore-separated file name parts.
+ * Only underscore-separated parts count, so titles like "Apollo 13 - 180 Days" do not.
+ */
+function collectMarkers(item) {
+  const tags = (item.Tags || []).map(tag => tag.toLowerCase().replace(/[\s_-]/g, ''));
+  const fileName = path.parse(item.Path || '').name.toLowerCase();
+  const fileTokens = fileName.split('_').slice(1).map(token => token.trim());
+  return { tags, fileTokens };
+}
+
+/**
+ * Find the first key whose tokens appear in a marker list
+ */
+function matchTokens(markers, tokenMap) {
+  return Object.keys(tokenMap).find(key => tokenMap[key].some(token => markers.includes(token)));
+}
+
+/**
+ * Detect the stereo layout from Jellyfin's 3D format, then tags, then the file name
+ * @param {Object} item - Jellyfin item (Video3DFormat, Tags, Path)
+ * @param {Object} mediaSource - Optional media source, which can carry its own Video3DFormat
+ * @returns {Object} { video3DFormat, stereoMode: mono|sbs|tab, halfResolution }
+ */
+function detectStereoMode(item, mediaSource) {
+  const video3DFormat = mediaSource?.Video3DFormat || item.Video3DFormat || null;
+  if (STEREO_FORMATS[video3DFormat]) {
+    return { video3DFormat, ...STEREO_FORMATS[video3DFormat] };
+  }
+
+  const { tags, fileTokens } = collectMarkers(item);
+  const stereoMode = matchTokens(tags, STEREO_TOKENS) || matchTokens(fileTokens, STEREO_TOKENS) || 'mono';
+  return { video3DFormat, stereoMode, halfResolution: false };
+}
+
+/**
+ * Detect the projection from tags, then the file name
+ * @param {Object} item - Jellyfin item (Tags, Path)
+ * @returns {Object} { projection: flat|equirectangular360|equirectangular180|fisheye180, projectionSource }
+ */
+function detectProjection(item) {
+  const { tags, fileTokens } = collectMarkers(item);
+
+  // Fisheye first: fisheye files are usually also marked 180
+  const order = ['fisheye180', 'equirectangular360', 'equirectangular180'];
+  const ordered = Object.fromEntries(order.map(key => [key, PROJECTION_TOKENS[key]]));
+
+  const fromTags = matchTokens(tags, ordered);
+  if (fromTags) return { projection: fromTags, projectionSource: 'tags' };
+  const fromFile = matchTokens(fileTokens, ordered);
+  if (fromFile) return { projection: fromFile, projectionSource: 'filename' };
+  return { projection: 'flat', projectionSource: 'default' };
+}
+
+/**
+ * Describe a video stream's dynamic range
+ * @param {Object} videoStream - Jellyfin video MediaStream
+ * @returns {Object} { hdrType, isHdr, videoRange, videoRangeType, bitDepth, colorTransfer, colorPrimaries, dolbyVisionProfile }
+ */
+function describeDynamicRange(videoStream) {
+  const videoRangeType = videoStream?.VideoRangeType || null;
+  const hdrType = HDR_TYPES[videoRangeType] || (videoStream?.VideoRange === 'HDR' ? 'HDR' : 'SDR');
+  return {
+    hdrType,
+    isHdr: hdrType !== 'SDR',
+    videoRange: videoStream?.VideoRange || null,
+    videoRangeType,
+    bitDepth: videoStream?.BitDepth || null,
+    colorTransfer: videoStream?.ColorTransfer || null,
+    colorPrimaries: videoStream?.ColorPrimaries || null,
+    dolbyVisionProfile: videoStream?.DvProfile ?? null
+  };
+}
+
+/**
+ * Everything a VR player needs to set up its screen for a video
+ * @param {Object} item - Jellyfin item
+ * @param {Object} mediaSource - Selected media source
+ * @param {Object} videoStream - Video stream of that source
+ * @returns {Object} Stereo layout, projection and dynamic range fields
+ */
+function describeVrVideo(item, mediaSource, videoStream) {
+  return {
+    ...detectStereoMode(item, mediaSource),
+    ...detectProjection(item),
+    ...describeDynamicRange(videoStream)
+  };
+}
+
+module.exports = {
+  detectStereoMode,
+  detectProjection,
+  describeDynamicRange,
+  describeVrVideo
+};